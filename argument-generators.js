@@ -0,0 +1,255 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const config = require("./config");
+
+const execFileAsync = promisify(execFile);
+
+// Makefile names GNU make looks for, in its order
+const MAKEFILES = ["GNUmakefile", "makefile", "Makefile"];
+
+/**
+ * Argument values that depend on the project or the machine: git branches,
+ * npm scripts, docker containers, make targets. Completion specs refer to
+ * them by name (`args: { generator: "gitBranches" }`).
+ *
+ * Results are cached per generator and directory. A cached result is
+ * dropped when its time-to-live runs out, when the file it was read from
+ * changes, or when invalidate() is called after a command runs.
+ */
+class ArgumentGenerators {
+  constructor() {
+    this.cache = new Map();
+    this.commandTimeout = 2000;
+    this.generators = {
+      gitBranches: { ttl: 30000, run: (cwd) => this.gitBranches(cwd) },
+      gitRemotes: { ttl: 30000, run: (cwd) => this.gitRemotes(cwd) },
+      npmScripts: {
+        ttl: 60000,
+        source: (cwd) => this.findUp(cwd, ["package.json"]),
+        run: (cwd, file) => this.npmScripts(file),
+      },
+      makeTargets: {
+        ttl: 60000,
+        source: (cwd) => this.findIn(cwd, MAKEFILES),
+        run: (cwd, file) => this.makeTargets(file),
+      },
+      // Containers come and go outside this terminal, so keep it short
+      dockerContainers: {
+        ttl: 5000,
+        run: (cwd) => this.dockerContainers(cwd, false),
+      },
+      dockerAllContainers: {
+        ttl: 5000,
+        run: (cwd) => this.dockerContainers(cwd, true),
+      },
+      dockerImages: { ttl: 15000, run: (cwd) => this.dockerImages(cwd) },
+      composeServices: {
+        ttl: 30000,
+        run: (cwd) => this.composeServices(cwd),
+      },
+    };
+  }
+
+  invalidate() {
+    this.cache.clear();
+  }
+
+  async run(command, args, cwd) {
+    try {
+      const { stdout } = await execFileAsync(command, args, {
+        cwd,
+        timeout: this.commandTimeout,
+        maxBuffer: 1024 * 1024,
+      });
+      return stdout;
+    } catch (error) {
+      // Not a repo, tool not installed, daemon not running...
+      return "";
+    }
+  }
+
+  lines(output) {
+    return output.split("\n").filter((line) => line.trim() !== "");
+  }
+
+  async findIn(directory, names) {
+    for (const name of names) {
+      const file = path.join(directory, name);
+      try {
+        await fs.access(file);
+        return file;
+      } catch (error) {
+        // Try the next name
+      }
+    }
+    return null;
+  }
+
+  // npm uses the nearest package.json above the working directory
+  async findUp(directory, names) {
+    let current = directory;
+    while (true) {
+      const file = await this.findIn(current, names);
+      if (file) return file;
+      const parent = path.dirname(current);
+      if (parent === current) return null;
+      current = parent;
+    }
+  }
+
+  async modifiedTime(file) {
+    try {
+      return (await fs.stat(file)).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Values for generator `name` in `cwd` as [{ name, description }]. Unknown
+   * generators and failures give an empty list.
+   */
+  async generate(name, cwd) {
+    const generator = this.generators[name];
+    if (!generator) return [];
+
+    const key = `${name}\u0000${cwd}`;
+    const source = generator.source ? await generator.source(cwd) : null;
+    if (generator.source && !source) return [];
+    const signature = source ? await this.modifiedTime(source) : null;
+
+    const cached = this.cache.get(key);
+    if (
+      cached &&
+      Date.now() - cached.time < generator.ttl &&
+      cached.signature === signature
+    ) {
+      return cached.values;
+    }
+
+    let values = [];
+    try {
+      values = await generator.run(cwd, source);
+    } catch (error) {
+      if (config.DEBUG_MODE) {
+        console.error(`Argument generator ${name} failed:`, error.message);
+      }
+    }
+
+    this.cache.set(key, { time: Date.now(), signature, values });
+    return values;
+  }
+
+  // Local branches first, then remote-tracking ones
+  async gitBranches(cwd) {
+    const output = await this.run(
+      "git",
+      [
+        "for-each-ref",
+        "--format=%(refname)\t%(refname:short)\t%(subject)",
+        "refs/heads",
+        "refs/remotes",
+      ],
+      cwd
+    );
+
+    return this.lines(output)
+      .map((line) => line.split("\t"))
+      .filter(([ref]) => !ref.endsWith("/HEAD"))
+      .map(([ref, name, subject]) => ({
+        name,
+        description: ref.startsWith("refs/remotes/")
+          ? `remote: ${subject || ""}`
+          : subject || "",
+      }));
+  }
+
+  async gitRemotes(cwd) {
+    const output = await this.run("git", ["remote", "-v"], cwd);
+    const remotes = new Map();
+    this.lines(output).forEach((line) => {
+      const [name, url] = line.split(/\s+/);
+      if (!remotes.has(name)) remotes.set(name, url);
+    });
+    return Array.from(remotes.entries()).map(([name, url]) => ({
+      name,
+      description: url,
+    }));
+  }
+
+  async npmScripts(file) {
+    const packageData = JSON.parse(await fs.readFile(file, "utf8"));
+    return Object.entries(packageData.scripts || {}).map(([name, body]) => ({
+      name,
+      description: body,
+    }));
+  }
+
+  /**
+   * Explicit targets of a Makefile, with the text of a trailing `## ...`
+   * comment as description. Pattern rules, special targets (.PHONY) and
+   * variable assignments are skipped; included makefiles are not read.
+   */
+  async makeTargets(file) {
+    const content = await fs.readFile(file, "utf8");
+    const targets = new Map();
+
+    content.split("\n").forEach((line) => {
+      const match =
+        /^([^\s:#=%][^:#=]*?)\s*::?(?!=)[^#]*(?:##\s*(.*)|#.*)?$/.exec(line);
+      if (!match) return;
+
+      match[1]
+        .split(/\s+/)
+        .filter((target) => target && !target.startsWith("."))
+        .filter((target) => !target.includes("$") && !target.includes("%"))
+        .forEach((target) => {
+          if (!targets.has(target) || match[2]) {
+            targets.set(target, (match[2] || "").trim());
+          }
+        });
+    });
+
+    return Array.from(targets.entries()).map(([name, description]) => ({
+      name,
+      description,
+    }));
+  }
+
+  async dockerContainers(cwd, all) {
+    const args = ["ps", "--format", "{{.Names}}\t{{.Image}}\t{{.Status}}"];
+    if (all) args.splice(1, 0, "-a");
+    const output = await this.run("docker", args, cwd);
+
+    return this.lines(output).map((line) => {
+      const [name, image, status] = line.split("\t");
+      return { name, description: `${image} (${status})` };
+    });
+  }
+
+  async dockerImages(cwd) {
+    const output = await this.run(
+      "docker",
+      ["images", "--format", "{{.Repository}}:{{.Tag}}\t{{.Size}}"],
+      cwd
+    );
+
+    return this.lines(output)
+      .map((line) => line.split("\t"))
+      .filter(([name]) => !name.includes("<none>"))
+      .map(([name, size]) => ({ name, description: size }));
+  }
+
+  async composeServices(cwd) {
+    const output = await this.run(
+      "docker",
+      ["compose", "config", "--services"],
+      cwd
+    );
+    return this.lines(output).map((name) => ({ name, description: "" }));
+  }
+}
+
+module.exports = ArgumentGenerators;
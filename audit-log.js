@@ -0,0 +1,123 @@
+const fs = require("fs").promises;
+const axios = require("axios");
+const path = require("path");
+const config = require("./config");
+const SecretRedactor = require("./secret-redactor");
+
+/**
+ * A record of what was sent to models and what came back. Services call
+ * start() before a provider request and finish() once it settles; with
+ * AUDIT_LOG on, each finished exchange is appended to AUDIT_LOG_FILE as
+ * one JSON line:
+ *
+ *   { timestamp, kind, provider, model, keyIndex, input, prompt,
+ *     latencyMs, tokens: { prompt, reply, total }, status, error, result }
+ *
+ * `prompt` is the prompt as sent, after redaction, and `result` is
+ * redacted before it is written too; `keyIndex` says which of the
+ * configured keys answered, never the key itself. The latest exchanges
+ * are also kept in memory, log or not, so `why` can show the prompt
+ * behind a suggestion.
+ */
+class AuditLog {
+  constructor() {
+    this.logFile = path.join(config.DATA_DIR, config.AUDIT_LOG_FILE);
+    this.redactor = new SecretRedactor();
+    this.recent = [];
+    this.maxRecent = 50;
+  }
+
+  // `kind` is "suggestion", "command", "fix" or "explanation"
+  start(kind, provider, prompt, input = null) {
+    return {
+      kind,
+      provider,
+      prompt: this.redactor.redact(prompt),
+      input: input === null ? null : this.redactor.redact(input),
+      startedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Completes an exchange with the provider's result, what the service
+   * parsed from it, or the error it failed with. Resolves once the line is
+   * written; callers don't need to wait.
+   */
+  async finish(exchange, { result = null, parsed = null, error = null } = {}) {
+    const { provider } = exchange;
+    const record = {
+      timestamp: new Date(exchange.startedAt).toISOString(),
+      kind: exchange.kind,
+      provider: provider.name,
+      model: provider.model || null,
+      keyIndex:
+        result && provider.requiresApiKey ? provider.currentKeyIndex : null,
+      input: exchange.input,
+      prompt: exchange.prompt,
+      latencyMs: Date.now() - exchange.startedAt,
+      tokens: result ? this.tokensOf(result) : null,
+      status: this.statusOf(result, parsed, error),
+      error: error && !axios.isCancel(error) ? error.message : null,
+      result: parsed,
+    };
+
+    this.recent.push(record);
+    if (this.recent.length > this.maxRecent) this.recent.shift();
+
+    if (!config.AUDIT_LOG) return record;
+    try {
+      await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+      const line = { ...record, result: this.redactValue(parsed) };
+      await fs.appendFile(this.logFile, JSON.stringify(line) + "\n");
+    } catch (err) {
+      if (config.DEBUG_MODE) {
+        console.error("Failed to write audit log:", err.message);
+      }
+    }
+    return record;
+  }
+
+  // Every string in a parsed reply (suggestions, a command, an
+  // explanation's parts) with secrets redacted
+  redactValue(value) {
+    if (typeof value === "string") return this.redactor.redact(value);
+    if (Array.isArray(value))
+      return value.map((item) => this.redactValue(item));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          this.redactValue(item),
+        ])
+      );
+    }
+    return value;
+  }
+
+  tokensOf(result) {
+    const total = result.tokenCount || 0;
+    const prompt = result.promptTokens || 0;
+    return { prompt, reply: Math.max(0, total - prompt), total };
+  }
+
+  statusOf(result, parsed, error) {
+    if (error) return axios.isCancel(error) ? "cancelled" : "error";
+    if (!result) return "empty";
+    const valid = Array.isArray(parsed) ? parsed.length > 0 : Boolean(parsed);
+    return valid ? "ok" : "invalid";
+  }
+
+  // The latest exchange whose parsed result includes `command`
+  findByCommand(command) {
+    for (let i = this.recent.length - 1; i >= 0; i--) {
+      const { result } = this.recent[i];
+      const commands = Array.isArray(result)
+        ? result.map((item) => item.command)
+        : [result && result.command];
+      if (commands.includes(command)) return this.recent[i];
+    }
+    return null;
+  }
+}
+
+module.exports = AuditLog;
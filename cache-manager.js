@@ -1,10 +1,13 @@
 const fs = require("fs").promises;
 const path = require("path");
 const config = require("./config");
+const { sanitizeSuggestion } = require("./suggestion-parser");
+const SecretRedactor = require("./secret-redactor");
 
 class CacheManager {
   constructor() {
     this.cache = new Map();
+    this.explanations = new Map();
     this.usageStats = {
       totalRequests: 0,
       cachedHits: 0,
@@ -13,7 +16,9 @@ class CacheManager {
       costEstimate: 0,
     };
     this.lastRequestTime = 0;
+    this.redactor = new SecretRedactor();
     this.loadCache();
+    this.loadExplanations();
     this.loadUsageStats();
   }
 
@@ -27,7 +32,18 @@ class CacheManager {
       const now = Date.now();
       for (const [key, value] of Object.entries(cacheData)) {
         if (now - value.timestamp < config.CACHE_DURATION) {
-          this.cache.set(key, value);
+          // Older entries hold bare strings, some of them unvalidated model
+          // output; anything that isn't a valid suggestion is dropped
+          const suggestions = (value.suggestions || [value.suggestion])
+            .map((suggestion) => sanitizeSuggestion(suggestion, key))
+            .filter(Boolean);
+          // Keys saved before redaction are redacted on the next save
+          if (suggestions.length > 0) {
+            this.cache.set(this.getCacheKey(key), {
+              suggestions,
+              timestamp: value.timestamp,
+            });
+          }
         }
       }
     } catch (error) {
@@ -55,6 +71,41 @@ class CacheManager {
     }
   }
 
+  // What a command does doesn't change, so explanations never expire
+  async loadExplanations() {
+    try {
+      const explanationFile = path.join(
+        __dirname,
+        config.EXPLANATION_CACHE_FILE
+      );
+      const data = await fs.readFile(explanationFile, "utf8");
+      for (const [key, value] of Object.entries(JSON.parse(data))) {
+        this.explanations.set(key, value);
+      }
+    } catch (error) {
+      if (config.DEBUG_MODE) {
+        console.log("No existing explanation cache found, starting fresh");
+      }
+    }
+  }
+
+  async saveExplanations() {
+    try {
+      const explanationFile = path.join(
+        __dirname,
+        config.EXPLANATION_CACHE_FILE
+      );
+      await fs.writeFile(
+        explanationFile,
+        JSON.stringify(Object.fromEntries(this.explanations), null, 2)
+      );
+    } catch (error) {
+      if (config.DEBUG_MODE) {
+        console.error("Failed to save explanation cache:", error.message);
+      }
+    }
+  }
+
   async loadUsageStats() {
     try {
       const usageFile = path.join(__dirname, config.USAGE_FILE);
@@ -87,25 +138,37 @@ class CacheManager {
   }
 
   getCacheKey(input) {
-    // Create a normalized cache key
-    return input.trim().toLowerCase();
+    // Create a normalized cache key, with no secrets to write to disk
+    return this.redactor.redact(input.trim()).toLowerCase();
   }
 
+  // The best cached suggestion for `input`
   get(input) {
+    const suggestions = this.getAll(input);
+    return suggestions ? suggestions[0] : null;
+  }
+
+  // Every cached suggestion for `input`, best first
+  getAll(input) {
     if (!config.ENABLE_CACHE) return null;
 
     const key = this.getCacheKey(input);
     const cached = this.cache.get(key);
 
-    if (cached && Date.now() - cached.timestamp < config.CACHE_DURATION) {
+    if (
+      cached &&
+      cached.suggestions.length > 0 &&
+      Date.now() - cached.timestamp < config.CACHE_DURATION
+    ) {
       this.usageStats.cachedHits++;
-      return cached.suggestion;
+      return cached.suggestions;
     }
 
     return null;
   }
 
-  set(input, suggestion) {
+  // `suggestions` is one { command, ... } suggestion or a ranked list
+  set(input, suggestions) {
     if (!config.ENABLE_CACHE) return;
 
     const key = this.getCacheKey(input);
@@ -117,14 +180,43 @@ class CacheManager {
     }
 
     this.cache.set(key, {
-      suggestion,
+      suggestions: Array.isArray(suggestions) ? suggestions : [suggestions],
       timestamp: Date.now(),
     });
 
     this.saveCache();
   }
 
-  canMakeRequest() {
+  // Flags are case-sensitive, so unlike getCacheKey() only spacing is
+  // normalized
+  getExplanationKey(command) {
+    return this.redactor.redact(command.trim().replace(/\s+/g, " "));
+  }
+
+  getExplanation(command) {
+    if (!config.ENABLE_CACHE) return null;
+
+    const explanation = this.explanations.get(this.getExplanationKey(command));
+    if (explanation) {
+      this.usageStats.cachedHits++;
+    }
+    return explanation || null;
+  }
+
+  setExplanation(command, explanation) {
+    if (!config.ENABLE_CACHE) return;
+
+    if (this.explanations.size >= config.MAX_CACHE_SIZE) {
+      const oldestKey = this.explanations.keys().next().value;
+      this.explanations.delete(oldestKey);
+    }
+
+    this.explanations.set(this.getExplanationKey(command), explanation);
+    this.saveExplanations();
+  }
+
+  // Requests the user asked for explicitly skip the typing cooldown
+  canMakeRequest({ ignoreCooldown = false } = {}) {
     // Check daily limit
     if (this.usageStats.dailyRequests >= config.MAX_DAILY_REQUESTS) {
       return false;
@@ -132,18 +224,26 @@ class CacheManager {
 
     // Check cooldown
     const now = Date.now();
-    if (now - this.lastRequestTime < config.REQUEST_COOLDOWN) {
+    if (
+      !ignoreCooldown &&
+      now - this.lastRequestTime < config.REQUEST_COOLDOWN
+    ) {
       return false;
     }
 
     return true;
   }
 
-  recordRequest(tokenCount = 0) {
+  // Counted when sent, so the limits also hold for requests that are
+  // cancelled or fail before a reply
+  recordRequest() {
     this.usageStats.totalRequests++;
     this.usageStats.dailyRequests++;
     this.lastRequestTime = Date.now();
+    this.saveUsageStats();
+  }
 
+  recordTokens(tokenCount = 0) {
     // Rough cost estimation (Gemini 2.0 Flash pricing)
     // Input: $0.000075 / 1M tokens, Output: $0.0003 / 1M tokens
     const inputCost = (tokenCount * 0.000075) / 1000000;
@@ -170,6 +270,8 @@ class CacheManager {
   clearCache() {
     this.cache.clear();
     this.saveCache();
+    this.explanations.clear();
+    this.saveExplanations();
   }
 
   resetUsageStats() {
@@ -0,0 +1,69 @@
+const config = require("./config");
+
+/**
+ * Stops sending requests to a provider that looks down, so typing never
+ * waits on a dead connection. CIRCUIT_FAILURE_THRESHOLD outages in a row
+ * (no response, a timeout or a 5xx, after retries) open the circuit;
+ * requests then fail at once and services fall back to local suggestions.
+ *
+ * While open, `probe` runs every CIRCUIT_PROBE_INTERVAL; once it reaches
+ * the server the circuit closes, and a single further outage reopens it
+ * until a request succeeds. `onChange` is called whenever it opens or
+ * closes.
+ */
+class CircuitBreaker {
+  constructor(probe) {
+    this.probe = probe;
+    this.failures = 0;
+    this.open = false;
+    this.probeTimer = null;
+    this.onChange = null;
+  }
+
+  isOpen() {
+    return this.open;
+  }
+
+  // Any answer from the server counts, even an error about the request
+  recordSuccess() {
+    this.failures = 0;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (!this.open && this.failures >= config.CIRCUIT_FAILURE_THRESHOLD) {
+      this.setOpen(true);
+      this.scheduleProbe();
+    }
+  }
+
+  scheduleProbe() {
+    this.probeTimer = setTimeout(async () => {
+      this.probeTimer = null;
+      let reachable = false;
+      try {
+        reachable = await this.probe();
+      } catch (error) {
+        if (config.DEBUG_MODE) {
+          console.error("Provider probe failed:", error.message);
+        }
+      }
+
+      if (reachable) {
+        this.failures = config.CIRCUIT_FAILURE_THRESHOLD - 1;
+        this.setOpen(false);
+      } else {
+        this.scheduleProbe();
+      }
+    }, config.CIRCUIT_PROBE_INTERVAL);
+    // Probing mustn't keep the process alive on exit
+    this.probeTimer.unref();
+  }
+
+  setOpen(open) {
+    this.open = open;
+    if (this.onChange) this.onChange(open);
+  }
+}
+
+module.exports = CircuitBreaker;
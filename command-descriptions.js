@@ -0,0 +1,579 @@
+/**
+ * What common tools and their usual flags do, for `explain`. Entries use
+ * the completion spec shape (see spec-completer.js) without completion
+ * sources; `wrapper` marks commands that run the command after them.
+ * Commands with a spec in completion-specs/ are described from that.
+ */
+const file = { name: "file" };
+
+module.exports = [
+  {
+    name: "ls",
+    description: "List directory contents",
+    options: [
+      { name: ["-l"], description: "Long format: permissions, size, date" },
+      { name: ["-a", "--all"], description: "Include hidden files" },
+      { name: ["-A"], description: "Include hidden files except . and .." },
+      { name: ["-h", "--human-readable"], description: "Sizes like 1K, 2M" },
+      { name: ["-R", "--recursive"], description: "List subdirectories too" },
+      { name: ["-t"], description: "Sort by modification time" },
+      { name: ["-S"], description: "Sort by size" },
+      { name: ["-r", "--reverse"], description: "Reverse the sort order" },
+      { name: ["-1"], description: "One entry per line" },
+      {
+        name: ["-d", "--directory"],
+        description: "List directories, not their contents",
+      },
+    ],
+  },
+  {
+    name: "cp",
+    description: "Copy files and directories",
+    options: [
+      {
+        name: ["-r", "-R", "--recursive"],
+        description: "Copy directories recursively",
+      },
+      { name: ["-i", "--interactive"], description: "Ask before overwriting" },
+      { name: ["-f", "--force"], description: "Overwrite without asking" },
+      { name: ["-p"], description: "Keep mode, owner and timestamps" },
+      {
+        name: ["-a", "--archive"],
+        description: "Copy everything as is (-dR --preserve=all)",
+      },
+      { name: ["-v", "--verbose"], description: "Print each file copied" },
+      {
+        name: ["-n", "--no-clobber"],
+        description: "Never overwrite existing files",
+      },
+    ],
+  },
+  {
+    name: "mv",
+    description: "Move or rename files",
+    options: [
+      { name: ["-i", "--interactive"], description: "Ask before overwriting" },
+      { name: ["-f", "--force"], description: "Overwrite without asking" },
+      {
+        name: ["-n", "--no-clobber"],
+        description: "Never overwrite existing files",
+      },
+      { name: ["-v", "--verbose"], description: "Print each file moved" },
+    ],
+  },
+  {
+    name: "rm",
+    description: "Remove files or directories",
+    options: [
+      {
+        name: ["-r", "-R", "--recursive"],
+        description: "Remove directories and everything in them",
+      },
+      {
+        name: ["-f", "--force"],
+        description: "Never ask, ignore missing files",
+      },
+      { name: ["-i"], description: "Ask before every removal" },
+      { name: ["-d", "--dir"], description: "Remove empty directories" },
+      { name: ["-v", "--verbose"], description: "Print each file removed" },
+    ],
+  },
+  {
+    name: "mkdir",
+    description: "Create directories",
+    options: [
+      {
+        name: ["-p", "--parents"],
+        description: "Create parent directories as needed",
+      },
+      {
+        name: ["-m", "--mode"],
+        description: "Set permissions",
+        args: { name: "mode" },
+      },
+      {
+        name: ["-v", "--verbose"],
+        description: "Print each directory created",
+      },
+    ],
+  },
+  {
+    name: "touch",
+    description: "Create empty files or update their timestamps",
+    options: [
+      {
+        name: ["-c", "--no-create"],
+        description: "Don't create missing files",
+      },
+    ],
+  },
+  {
+    name: "ln",
+    description: "Create links between files",
+    options: [
+      { name: ["-s", "--symbolic"], description: "Make a symbolic link" },
+      { name: ["-f", "--force"], description: "Replace existing files" },
+    ],
+  },
+  {
+    name: "cat",
+    description: "Print files one after another",
+    options: [{ name: ["-n", "--number"], description: "Number every line" }],
+  },
+  {
+    name: "echo",
+    description: "Print its arguments",
+    options: [
+      { name: ["-n"], description: "No trailing newline" },
+      { name: ["-e"], description: "Interpret backslash escapes" },
+    ],
+  },
+  {
+    name: "head",
+    description: "Print the first lines of files",
+    options: [
+      {
+        name: ["-n", "--lines"],
+        description: "Number of lines",
+        args: { name: "count" },
+      },
+      {
+        name: ["-c", "--bytes"],
+        description: "Number of bytes",
+        args: { name: "count" },
+      },
+    ],
+  },
+  {
+    name: "tail",
+    description: "Print the last lines of files",
+    options: [
+      {
+        name: ["-n", "--lines"],
+        description: "Number of lines",
+        args: { name: "count" },
+      },
+      {
+        name: ["-f", "--follow"],
+        description: "Keep printing lines as they are added",
+      },
+      {
+        name: ["-F"],
+        description: "Follow, and reopen the file if it is replaced",
+      },
+    ],
+  },
+  {
+    name: "grep",
+    description: "Print lines that match a pattern",
+    options: [
+      { name: ["-i", "--ignore-case"], description: "Ignore case" },
+      {
+        name: ["-r", "--recursive"],
+        description: "Search directories recursively",
+      },
+      { name: ["-R"], description: "Search recursively, following symlinks" },
+      { name: ["-n", "--line-number"], description: "Show line numbers" },
+      {
+        name: ["-v", "--invert-match"],
+        description: "Print lines that don't match",
+      },
+      {
+        name: ["-l", "--files-with-matches"],
+        description: "Print only names of matching files",
+      },
+      {
+        name: ["-c", "--count"],
+        description: "Print the number of matching lines",
+      },
+      { name: ["-w", "--word-regexp"], description: "Match whole words only" },
+      {
+        name: ["-E", "--extended-regexp"],
+        description: "Extended regular expressions",
+      },
+      {
+        name: ["-F", "--fixed-strings"],
+        description: "Pattern is plain text, not a regex",
+      },
+      {
+        name: ["-o", "--only-matching"],
+        description: "Print only the matching part",
+      },
+      {
+        name: ["-e", "--regexp"],
+        description: "Pattern to match",
+        args: { name: "pattern" },
+      },
+      {
+        name: ["-A", "--after-context"],
+        description: "Lines to show after a match",
+        args: { name: "count" },
+      },
+      {
+        name: ["-B", "--before-context"],
+        description: "Lines to show before a match",
+        args: { name: "count" },
+      },
+      {
+        name: ["-C", "--context"],
+        description: "Lines to show around a match",
+        args: { name: "count" },
+      },
+      {
+        name: "--include",
+        description: "Only search files matching a glob",
+        args: { name: "glob" },
+      },
+      {
+        name: "--exclude",
+        description: "Skip files matching a glob",
+        args: { name: "glob" },
+      },
+    ],
+    args: [{ name: "pattern" }, file],
+  },
+  {
+    name: "find",
+    description: "Search for files in a directory tree",
+    options: [
+      {
+        name: "-name",
+        description: "File name matches a glob",
+        args: { name: "glob" },
+      },
+      {
+        name: "-iname",
+        description: "File name matches a glob, any case",
+        args: { name: "glob" },
+      },
+      {
+        name: "-path",
+        description: "Path matches a glob",
+        args: { name: "glob" },
+      },
+      {
+        name: "-type",
+        description: "Kind of file: f file, d directory, l link",
+        args: { name: "type" },
+      },
+      {
+        name: "-mtime",
+        description: "Modified this many days ago (-1: within a day)",
+        args: { name: "days" },
+      },
+      {
+        name: "-mmin",
+        description: "Modified this many minutes ago",
+        args: { name: "minutes" },
+      },
+      {
+        name: "-size",
+        description: "File size, e.g. +10M",
+        args: { name: "size" },
+      },
+      {
+        name: "-maxdepth",
+        description: "Descend at most this many levels",
+        args: { name: "levels" },
+      },
+      {
+        name: "-mindepth",
+        description: "Skip the first levels",
+        args: { name: "levels" },
+      },
+      {
+        name: "-newer",
+        description: "Modified more recently than a file",
+        args: { name: "file" },
+      },
+      { name: "-empty", description: "Empty files and directories" },
+      { name: "-delete", description: "Delete what was found" },
+      { name: "-print", description: "Print the path" },
+      {
+        name: "-print0",
+        description: "Print paths separated by NUL, for xargs -0",
+      },
+      {
+        name: "-exec",
+        description: "Run a command on each result, up to \\; or +",
+      },
+      { name: "-not", description: "Negate the next test" },
+      { name: "-o", description: "Or: either test may match" },
+    ],
+    args: { name: "starting directory" },
+  },
+  {
+    name: "xargs",
+    description: "Build command lines from standard input and run them",
+    wrapper: true,
+    options: [
+      { name: ["-0", "--null"], description: "Input is separated by NUL" },
+      {
+        name: ["-n", "--max-args"],
+        description: "Arguments per command",
+        args: { name: "count" },
+      },
+      {
+        name: ["-I"],
+        description: "Replace this string with each input line",
+        args: { name: "string" },
+      },
+      {
+        name: ["-P", "--max-procs"],
+        description: "Commands to run in parallel",
+        args: { name: "count" },
+      },
+    ],
+  },
+  {
+    name: "sort",
+    description: "Sort lines of text",
+    options: [
+      { name: ["-n", "--numeric-sort"], description: "Compare as numbers" },
+      {
+        name: ["-h", "--human-numeric-sort"],
+        description: "Compare sizes like 2K, 1G",
+      },
+      { name: ["-r", "--reverse"], description: "Reverse the order" },
+      { name: ["-u", "--unique"], description: "Drop duplicate lines" },
+      {
+        name: ["-k", "--key"],
+        description: "Sort by this field",
+        args: { name: "field" },
+      },
+      {
+        name: ["-t", "--field-separator"],
+        description: "Field separator",
+        args: { name: "char" },
+      },
+    ],
+  },
+  {
+    name: "uniq",
+    description: "Drop repeated adjacent lines",
+    options: [
+      { name: ["-c", "--count"], description: "Prefix lines with their count" },
+      { name: ["-d", "--repeated"], description: "Print only repeated lines" },
+    ],
+  },
+  {
+    name: "wc",
+    description: "Count lines, words and bytes",
+    options: [
+      { name: ["-l", "--lines"], description: "Count lines" },
+      { name: ["-w", "--words"], description: "Count words" },
+      { name: ["-c", "--bytes"], description: "Count bytes" },
+    ],
+  },
+  {
+    name: "du",
+    description: "Show disk usage of files and directories",
+    options: [
+      {
+        name: ["-s", "--summarize"],
+        description: "Only a total for each argument",
+      },
+      { name: ["-h", "--human-readable"], description: "Sizes like 1K, 2M" },
+      {
+        name: ["-a", "--all"],
+        description: "Show files, not only directories",
+      },
+      {
+        name: ["-d", "--max-depth"],
+        description: "Levels to show",
+        args: { name: "depth" },
+      },
+    ],
+  },
+  {
+    name: "df",
+    description: "Show free disk space",
+    options: [
+      { name: ["-h", "--human-readable"], description: "Sizes like 1K, 2M" },
+    ],
+  },
+  {
+    name: "tar",
+    description: "Create or extract archives",
+    options: [
+      { name: ["-c", "--create"], description: "Create an archive" },
+      { name: ["-x", "--extract"], description: "Extract an archive" },
+      { name: ["-t", "--list"], description: "List an archive's contents" },
+      {
+        name: ["-z", "--gzip"],
+        description: "Compress or decompress with gzip",
+      },
+      {
+        name: ["-j", "--bzip2"],
+        description: "Compress or decompress with bzip2",
+      },
+      { name: ["-J", "--xz"], description: "Compress or decompress with xz" },
+      {
+        name: ["-v", "--verbose"],
+        description: "List files as they are processed",
+      },
+      {
+        name: ["-f", "--file"],
+        description: "Archive file to use",
+        args: { name: "archive" },
+      },
+      {
+        name: ["-C", "--directory"],
+        description: "Change to this directory first",
+        args: { name: "dir" },
+      },
+    ],
+  },
+  {
+    name: "chmod",
+    description: "Change file permissions",
+    options: [
+      {
+        name: ["-R", "--recursive"],
+        description: "Change files in directories too",
+      },
+    ],
+    args: [{ name: "mode" }, file],
+  },
+  {
+    name: "chown",
+    description: "Change file owner and group",
+    options: [
+      {
+        name: ["-R", "--recursive"],
+        description: "Change files in directories too",
+      },
+    ],
+    args: [{ name: "owner[:group]" }, file],
+  },
+  {
+    name: "ps",
+    description: "List running processes",
+    options: [
+      { name: ["-e", "-A"], description: "Every process" },
+      { name: ["-f"], description: "Full format" },
+      {
+        name: ["-u"],
+        description: "Processes of this user",
+        args: { name: "user" },
+      },
+    ],
+  },
+  {
+    name: "kill",
+    description: "Send a signal to processes",
+    options: [
+      { name: ["-9"], description: "SIGKILL: stop immediately, no cleanup" },
+      { name: ["-s"], description: "Signal to send", args: { name: "signal" } },
+      { name: ["-l"], description: "List signal names" },
+    ],
+    args: { name: "pid" },
+  },
+  {
+    name: "curl",
+    description: "Transfer data from or to a URL",
+    options: [
+      {
+        name: ["-o", "--output"],
+        description: "Write the response to a file",
+        args: { name: "file" },
+      },
+      {
+        name: ["-O", "--remote-name"],
+        description: "Save under the remote file name",
+      },
+      { name: ["-L", "--location"], description: "Follow redirects" },
+      { name: ["-s", "--silent"], description: "No progress or errors" },
+      {
+        name: ["-S", "--show-error"],
+        description: "Show errors even when silent",
+      },
+      { name: ["-f", "--fail"], description: "Fail on HTTP errors" },
+      { name: ["-I", "--head"], description: "Fetch headers only" },
+      { name: ["-i", "--include"], description: "Include response headers" },
+      { name: ["-v", "--verbose"], description: "Show the whole exchange" },
+      {
+        name: ["-X", "--request"],
+        description: "HTTP method",
+        args: { name: "method" },
+      },
+      {
+        name: ["-H", "--header"],
+        description: "Add a request header",
+        args: { name: "header" },
+      },
+      {
+        name: ["-d", "--data"],
+        description: "Send this as the request body",
+        args: { name: "data" },
+      },
+      {
+        name: ["-u", "--user"],
+        description: "Credentials as user:password",
+        args: { name: "user" },
+      },
+    ],
+    args: { name: "url" },
+  },
+  {
+    name: "ssh",
+    description: "Log in to a remote machine",
+    options: [
+      {
+        name: ["-p"],
+        description: "Port to connect to",
+        args: { name: "port" },
+      },
+      {
+        name: ["-i"],
+        description: "Identity (private key) file",
+        args: { name: "file" },
+      },
+      {
+        name: ["-L"],
+        description: "Forward a local port",
+        args: { name: "port:host:port" },
+      },
+      { name: ["-v"], description: "Verbose output" },
+    ],
+    args: [{ name: "destination" }, { name: "command" }],
+  },
+  {
+    name: "sed",
+    description: "Edit text in a stream",
+    options: [
+      { name: ["-i", "--in-place"], description: "Edit files in place" },
+      { name: ["-n", "--quiet"], description: "Only print lines asked for" },
+      { name: ["-E", "-r"], description: "Extended regular expressions" },
+      {
+        name: ["-e", "--expression"],
+        description: "Script to run",
+        args: { name: "script" },
+      },
+    ],
+    args: [{ name: "script" }, file],
+  },
+  {
+    name: "sudo",
+    description: "Run the command that follows as another user (root)",
+    wrapper: true,
+    options: [
+      {
+        name: ["-u", "--user"],
+        description: "Run as this user",
+        args: { name: "user" },
+      },
+      { name: ["-E", "--preserve-env"], description: "Keep the environment" },
+    ],
+  },
+  {
+    name: "time",
+    description: "Run the command that follows and report how long it took",
+    wrapper: true,
+  },
+  {
+    name: "nohup",
+    description: "Run the command that follows, immune to hangups",
+    wrapper: true,
+  },
+];
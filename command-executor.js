@@ -0,0 +1,131 @@
+const { spawn } = require("child_process");
+const chalk = require("chalk");
+const config = require("./config");
+
+class CommandExecutor {
+  constructor() {
+    this.currentProcess = null;
+    this.ignoreInterrupt = () => {};
+  }
+
+  getShellInvocation(command) {
+    const shell = config.COMMAND_SHELL;
+
+    // cmd.exe needs /c, every POSIX-style shell understands -c
+    if (/cmd(\.exe)?$/i.test(shell)) {
+      return { file: shell, args: ["/d", "/s", "/c", command] };
+    }
+    return { file: shell, args: ["-c", command] };
+  }
+
+  isRunning() {
+    return this.currentProcess !== null;
+  }
+
+  async execute(command, options = {}) {
+    const { file, args } = this.getShellInvocation(command);
+    const startTime = Date.now();
+    const stdin = process.stdin;
+    const wasRaw = Boolean(stdin.isTTY && stdin.isRaw);
+
+    // Hand the terminal over to the child: cooked mode so it gets line
+    // editing and Ctrl+C, and our own reader paused so we don't steal input
+    if (stdin.isTTY) {
+      stdin.setRawMode(false);
+    }
+    stdin.pause();
+
+    // Ctrl+C should interrupt the child, not the terminal app
+    process.on("SIGINT", this.ignoreInterrupt);
+
+    // With CAPTURE_STDERR, stderr is still shown as it arrives and its end
+    // is kept for fixes; otherwise the child writes to the terminal itself
+    let stderr = "";
+
+    const result = await new Promise((resolve) => {
+      let child;
+      try {
+        child = spawn(file, args, {
+          cwd: options.cwd || process.cwd(),
+          env: options.env || process.env,
+          stdio: [
+            "inherit",
+            "inherit",
+            config.CAPTURE_STDERR ? "pipe" : "inherit",
+          ],
+        });
+      } catch (error) {
+        resolve({ exitCode: 127, signal: null, error });
+        return;
+      }
+
+      this.currentProcess = child;
+
+      if (child.stderr) {
+        child.stderr.on("data", (chunk) => {
+          process.stderr.write(chunk);
+          stderr = this.tailLines(stderr + chunk.toString());
+        });
+      }
+
+      child.on("error", (error) => {
+        resolve({ exitCode: 127, signal: null, error });
+      });
+
+      child.on("close", (code, signal) => {
+        resolve({ exitCode: code === null ? 128 : code, signal, error: null });
+      });
+    });
+
+    this.currentProcess = null;
+    process.removeListener("SIGINT", this.ignoreInterrupt);
+
+    // Give the terminal back to the caller in the state we found it
+    if (stdin.isTTY) {
+      stdin.setRawMode(wasRaw);
+    }
+    stdin.resume();
+
+    return {
+      command,
+      exitCode: result.exitCode,
+      signal: result.signal,
+      error: result.error,
+      stderr,
+      duration: Date.now() - startTime,
+    };
+  }
+
+  // The last STDERR_TAIL_LINES lines of `text`, and no more than 4 KB
+  tailLines(text) {
+    const lines = text.split("\n");
+    const limit = config.STDERR_TAIL_LINES + 1; // the last line may be partial
+    const tail = lines.length > limit ? lines.slice(-limit).join("\n") : text;
+    return tail.slice(-4096);
+  }
+
+  formatDuration(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.round((ms % 60000) / 1000);
+    return `${minutes}m ${seconds}s`;
+  }
+
+  formatSummary(result) {
+    const duration = this.formatDuration(result.duration);
+
+    if (result.error) {
+      return chalk.red(`❌ Failed to run: ${result.error.message}`);
+    }
+    if (result.signal) {
+      return chalk.yellow(`⚠️  Terminated by ${result.signal} (${duration})`);
+    }
+    if (result.exitCode === 0) {
+      return chalk.green(`✅ Exit 0 (${duration})`);
+    }
+    return chalk.red(`❌ Exit ${result.exitCode} (${duration})`);
+  }
+}
+
+module.exports = CommandExecutor;
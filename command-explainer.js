@@ -0,0 +1,432 @@
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const chalk = require("chalk");
+const config = require("./config");
+const SpecCompleter = require("./spec-completer");
+const COMMAND_DESCRIPTIONS = require("./command-descriptions");
+const { tokenize } = require("./shell-parser");
+
+const execFileAsync = promisify(execFile);
+
+const CONTROL_OPERATORS = {
+  "|": "Pipe the output into the next command",
+  "||": "Run the next command only if this one fails",
+  "&&": "Run the next command only if this one succeeds",
+  ";": "Then run the next command",
+  "&": "Run the command before it in the background",
+};
+
+// {target} is the word after the operator
+const REDIRECTIONS = {
+  ">": "Write output to {target}, replacing it",
+  "1>": "Write output to {target}, replacing it",
+  ">>": "Append output to {target}",
+  "<": "Read input from {target}",
+  "2>": "Write errors to {target}",
+  "2>>": "Append errors to {target}",
+  "&>": "Write output and errors to {target}",
+  "2>&1": "Send errors to the same place as output",
+  ">&2": "Send output to the error stream",
+  "1>&2": "Send output to the error stream",
+};
+
+const ASSIGNMENT = /^[A-Za-z_][A-Za-z0-9_]*=/;
+
+/**
+ * Breaks a command line into its parts (program, subcommand, each flag and
+ * argument, operators and redirections) and says what each one does, from
+ * local sources only: completion specs, the table in
+ * command-descriptions.js and installed man pages. Parts none of them know
+ * have no description; merge() fills them in from a model's answer.
+ */
+class CommandExplainer {
+  constructor(specCompleter = new SpecCompleter()) {
+    this.specCompleter = specCompleter;
+    this.descriptions = new Map();
+    COMMAND_DESCRIPTIONS.forEach((entry) =>
+      this.specCompleter
+        .names(entry)
+        .forEach((name) => this.descriptions.set(name, entry))
+    );
+    this.manSummaries = new Map();
+    this.manOptions = new Map();
+  }
+
+  /**
+   * Returns { command, parts: [{ text, description }], summary, complete },
+   * where `complete` says every part has a description.
+   */
+  async explain(line) {
+    const { words, operators } = tokenize(line, { expand: false });
+    const parts = [];
+    let segment = [];
+    let redirections = [];
+
+    const flush = async () => {
+      parts.push(
+        ...(await this.explainSimpleCommand(segment)),
+        ...redirections
+      );
+      segment = [];
+      redirections = [];
+    };
+
+    const items = this.readItems(line, words, operators);
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      if (item.word) {
+        segment.push(item.word);
+        continue;
+      }
+
+      if (/[<>]/.test(item.operator)) {
+        const next = items[i + 1];
+        const target = next && next.word ? next.word.raw : "";
+        if (target) i++;
+        redirections.push(this.explainRedirection(item.operator, target));
+        continue;
+      }
+
+      await flush();
+      parts.push({
+        text: item.operator,
+        description: CONTROL_OPERATORS[item.operator] || null,
+      });
+    }
+    await flush();
+
+    return {
+      command: line,
+      parts,
+      summary: null,
+      complete: parts.every((part) => part.description),
+    };
+  }
+
+  // Words and operators in line order. Adjacent operator characters form
+  // one operator ("&&", ">>"), and a file descriptor number written right
+  // before a redirection belongs to it ("2>").
+  readItems(line, words, operators) {
+    const groups = [];
+    operators.forEach((offset) => {
+      const last = groups[groups.length - 1];
+      if (last && last.end === offset) {
+        last.end = offset + 1;
+      } else {
+        groups.push({ start: offset, end: offset + 1 });
+      }
+    });
+
+    const items = words.map((word) => ({ word, start: word.start }));
+    groups.forEach((group) => {
+      let start = group.start;
+      const fd = items.find(
+        (item) =>
+          item.word && item.word.end === start && /^\d$/.test(item.word.raw)
+      );
+      if (fd && /[<>]/.test(line[start])) {
+        items.splice(items.indexOf(fd), 1);
+        start = fd.start;
+      }
+      items.push({ operator: line.slice(start, group.end), start });
+    });
+    items.sort((a, b) => a.start - b.start);
+
+    // "2>&1": the descriptor after ">&" is part of the operator
+    return items.reduce((merged, item) => {
+      const last = merged[merged.length - 1];
+      if (
+        item.word &&
+        last &&
+        last.operator &&
+        last.operator.endsWith(">&") &&
+        /^\d$/.test(item.word.raw)
+      ) {
+        last.operator += item.word.raw;
+        return merged;
+      }
+      merged.push(item);
+      return merged;
+    }, []);
+  }
+
+  explainRedirection(operator, target) {
+    const template = REDIRECTIONS[operator];
+    return {
+      text: target ? `${operator} ${target}` : operator,
+      description: template ? template.replace("{target}", target) : null,
+    };
+  }
+
+  // One command without operators: assignments, program, then its words
+  async explainSimpleCommand(words) {
+    const parts = [];
+    let index = 0;
+
+    while (index < words.length && ASSIGNMENT.test(words[index].raw)) {
+      const [name] = words[index].raw.split("=");
+      parts.push({
+        text: words[index].raw,
+        description: `Set ${name} for this command only`,
+      });
+      index++;
+    }
+    if (index >= words.length) return parts;
+
+    const program = words[index].value;
+    const spec = this.getSpec(program);
+    parts.push({
+      text: words[index].raw,
+      description:
+        (spec && spec.description) ||
+        (await this.getManSummary(program)) ||
+        null,
+    });
+
+    const nodes = [spec || {}];
+    let positional = 0;
+    let endOfOptions = false;
+
+    for (let i = index + 1; i < words.length; i++) {
+      const word = words[i];
+      const node = nodes[nodes.length - 1];
+
+      if (!endOfOptions && word.value === "--") {
+        endOfOptions = true;
+        parts.push({
+          text: word.raw,
+          description: "End of options; the rest are arguments",
+        });
+        continue;
+      }
+
+      if (!endOfOptions && word.value.startsWith("-") && word.value !== "-") {
+        i = await this.explainOption(program, nodes, words, i, parts);
+        continue;
+      }
+
+      const subcommand =
+        positional === 0 &&
+        (node.subcommands || []).find((sub) =>
+          this.specCompleter.names(sub).includes(word.value)
+        );
+      if (subcommand) {
+        nodes.push(subcommand);
+        parts.push({
+          text: word.raw,
+          description: subcommand.description || null,
+        });
+        continue;
+      }
+
+      // sudo, xargs and the like run the rest as a command of its own
+      if (spec && spec.wrapper) {
+        return parts.concat(await this.explainSimpleCommand(words.slice(i)));
+      }
+
+      const args = this.specCompleter.argList(node);
+      const arg = args[Math.min(positional, args.length - 1)];
+      positional++;
+      parts.push({
+        text: word.raw,
+        description: arg
+          ? arg.description || `Argument: ${arg.name}`
+          : "Argument",
+      });
+    }
+
+    return parts;
+  }
+
+  /**
+   * Describes the option at words[index], with the value it takes when
+   * there is one. Bundled short flags ("-xzf") are taken apart. Returns
+   * the index of the last word used.
+   */
+  async explainOption(program, nodes, words, index, parts) {
+    const word = words[index];
+    const [flag, ...rest] = word.value.split("=");
+    const option = await this.findOption(program, nodes, flag);
+
+    if (option) {
+      const takesValue = option.args && rest.length === 0;
+      const value = takesValue ? words[index + 1] : null;
+      parts.push({
+        text: value ? `${word.raw} ${value.raw}` : word.raw,
+        description: option.description || null,
+      });
+      return value ? index + 1 : index;
+    }
+
+    if (!/^-[A-Za-z0-9]{2,}$/.test(flag)) {
+      parts.push({ text: word.raw, description: null });
+      return index;
+    }
+
+    const letters = flag.slice(1).split("");
+    for (let i = 0; i < letters.length; i++) {
+      const short = await this.findOption(program, nodes, `-${letters[i]}`);
+      if (!short || !short.args) {
+        parts.push({
+          text: `-${letters[i]}`,
+          description: short ? short.description : null,
+        });
+        continue;
+      }
+
+      // The rest of the bundle, or else the next word, is its value
+      const attached = letters.slice(i + 1).join("");
+      const value = attached || (words[index + 1] && words[index + 1].raw);
+      parts.push({
+        text: value ? `-${letters[i]} ${value}` : `-${letters[i]}`,
+        description: short.description,
+      });
+      return attached || !value ? index : index + 1;
+    }
+    return index;
+  }
+
+  getSpec(program) {
+    return (
+      this.specCompleter.getSpec(program) ||
+      this.descriptions.get(program) ||
+      null
+    );
+  }
+
+  async findOption(program, nodes, flag) {
+    const option = this.specCompleter.findOption(
+      this.specCompleter.optionsFor(nodes),
+      flag
+    );
+    if (option) return option;
+
+    const description = (await this.getManOptions(program)).get(flag);
+    return description ? { description } : null;
+  }
+
+  // From `man -f`: "ls (1) - list directory contents"
+  async getManSummary(program) {
+    if (!this.manSummaries.has(program)) {
+      const output = await this.runMan(["-f", program]);
+      const match =
+        output && /^\S+\s*\([^)]*\)\s+-+\s+(.+)$/m.exec(output.trim());
+      this.manSummaries.set(program, match ? this.sentence(match[1]) : null);
+    }
+    return this.manSummaries.get(program);
+  }
+
+  // Flag -> description, read from the OPTIONS-style lists of a man page
+  async getManOptions(program) {
+    if (this.manOptions.has(program)) return this.manOptions.get(program);
+
+    const options = new Map();
+    const lines = ((await this.runMan([program])) || "").split("\n");
+    lines.forEach((line, index) => {
+      const match = /^\s+(-\S.*)$/.exec(line);
+      if (!match) return;
+
+      const gap = /\s{2,}/.exec(match[1]);
+      const header = gap ? match[1].slice(0, gap.index) : match[1];
+      const flags = header
+        .split(/,\s*/)
+        .map((name) => name.split(/[\s=[]/)[0])
+        .filter((name) => /^-{1,2}[\w?@]/.test(name));
+      if (flags.length === 0) return;
+
+      const next = (lines[index + 1] || "").trim();
+      const text = gap
+        ? match[1].slice(gap.index).trim()
+        : next.startsWith("-")
+        ? ""
+        : next;
+      if (!text) return;
+
+      flags.forEach((flag) => {
+        if (!options.has(flag)) options.set(flag, this.sentence(text));
+      });
+    });
+
+    this.manOptions.set(program, options);
+    return options;
+  }
+
+  // Man page text with formatting removed, or null without a page
+  async runMan(args) {
+    if (!/^[\w.+-]+$/.test(args[args.length - 1])) return null;
+
+    try {
+      const { stdout } = await execFileAsync("man", args, {
+        encoding: "utf8",
+        timeout: 3000,
+        maxBuffer: 4 * 1024 * 1024,
+        env: { ...process.env, MANPAGER: "cat", PAGER: "cat", MANWIDTH: "120" },
+      });
+      return stdout ? stdout.replace(/.\x08/g, "") : null;
+    } catch (error) {
+      // Without man, or without a page (a numeric exit status), say nothing
+      const missing = error.code === "ENOENT" || typeof error.code === "number";
+      if (config.DEBUG_MODE && !missing) {
+        console.error("Failed to read man page:", error.message);
+      }
+      return null;
+    }
+  }
+
+  // First sentence, capitalised, without the full stop
+  sentence(text) {
+    const first = text.split(/\.(?:\s|$)/)[0].trim();
+    return first.charAt(0).toUpperCase() + first.slice(1);
+  }
+
+  // Prompt asking a model for what explain() couldn't find
+  buildPrompt(explanation) {
+    const parts = explanation.parts.map((part) => part.text);
+    let prompt = `Shell command: ${explanation.command}\n`;
+    prompt += `Its parts: ${JSON.stringify(parts)}. `;
+    prompt += `Explain what each part does for someone new to the shell, a few words each, and what the whole command does in one sentence. `;
+    prompt += `Reply with only JSON: {"summary", "parts": [{"text" (exactly as listed), "description"}]}.`;
+    return prompt;
+  }
+
+  // Fills parts without a description from a model's { summary, parts }
+  merge(explanation, reply) {
+    const sameShape = reply.parts.length === explanation.parts.length;
+    explanation.parts.forEach((part, index) => {
+      if (part.description) return;
+      const match =
+        reply.parts.find((candidate) => candidate.text === part.text) ||
+        (sameShape ? reply.parts[index] : null);
+      if (match && match.description) {
+        part.description = match.description;
+        part.fromModel = true;
+      }
+    });
+    explanation.summary = reply.summary || null;
+    explanation.complete = explanation.parts.every((part) => part.description);
+    return explanation;
+  }
+
+  format(explanation) {
+    const width = Math.min(
+      24,
+      Math.max(...explanation.parts.map((part) => part.text.length))
+    );
+    const lines = [chalk.cyan(`📖 ${explanation.command}`)];
+
+    explanation.parts.forEach((part) => {
+      const text = chalk.yellow(part.text.padEnd(width));
+      const description = part.description
+        ? part.description + (part.fromModel ? chalk.gray(" (AI)") : "")
+        : chalk.gray("(no description found)");
+      lines.push(`  ${text}  ${description}`);
+    });
+
+    if (explanation.summary) {
+      lines.push(chalk.gray(`💬 ${explanation.summary}`));
+    }
+    return lines.join("\n");
+  }
+}
+
+module.exports = CommandExplainer;
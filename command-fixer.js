@@ -0,0 +1,184 @@
+/**
+ * Local rules that turn a failed command into a corrected one, in the
+ * spirit of thefuck. Each rule looks at { command, exitCode, stderr } and
+ * returns { command, explanation } or null; the first rule that returns a
+ * fix wins, so specific rules come before general ones.
+ */
+const RULES = [
+  // fatal: The current branch feature has no upstream branch.
+  //     git push --set-upstream origin feature
+  function gitPushUpstream({ command, stderr }) {
+    if (!/^git push\b/.test(command)) return null;
+    const match = /(git push --set-upstream \S+ \S+)/.exec(stderr);
+    return match
+      ? { command: match[1], explanation: "Push and track the branch" }
+      : null;
+  },
+
+  // git: 'stauts' is not a git command. ... The most similar command is
+  function gitSimilarCommand({ command, stderr }) {
+    const typo = /git: '([^']+)' is not a git command/.exec(stderr);
+    const similar = /most similar commands? (?:is|are)\s+(\S+)/.exec(stderr);
+    if (!typo || !similar) return null;
+    return {
+      command: replaceWord(command, typo[1], similar[1]),
+      explanation: `git has no "${typo[1]}" command`,
+    };
+  },
+
+  // error: pathspec 'feature' did not match any file(s) known to git
+  function gitMissingBranch({ command, stderr }) {
+    const checkout = /^git (checkout|switch) (\S+)$/.exec(command);
+    if (!checkout) return null;
+    if (!/did not match any|invalid reference/.test(stderr)) return null;
+    const flag = checkout[1] === "switch" ? "-c" : "-b";
+    return {
+      command: `git ${checkout[1]} ${flag} ${checkout[2]}`,
+      explanation: "Create the branch",
+    };
+  },
+
+  // npm ERR! Missing script: "biuld" ... Did you mean this?  npm run build
+  function npmMissingScript({ stderr }) {
+    if (!/Missing script/.test(stderr)) return null;
+    // npm prefixes every line with "npm ERR!", or "npm error" since v10
+    const match =
+      /Did you mean (?:this|one of these)\?(?:\s|npm ERR!|npm error)+(npm run \S+)/.exec(
+        stderr
+      );
+    return match ? { command: match[1], explanation: "Closest script" } : null;
+  },
+
+  // Error: Cannot find module 'express'
+  function missingNodeModule({ stderr }) {
+    const match = /Cannot find module '((?:@[^/']+\/)?[^./'][^/']*)/.exec(
+      stderr
+    );
+    return match
+      ? {
+          command: `npm install ${match[1]}`,
+          explanation: `The ${match[1]} package isn't installed`,
+        }
+      : null;
+  },
+
+  // ModuleNotFoundError: No module named 'requests'
+  function missingPythonModule({ stderr }) {
+    const match = /No module named '([\w-]+)/.exec(stderr);
+    return match
+      ? {
+          command: `pip install ${match[1]}`,
+          explanation: `The ${match[1]} module isn't installed`,
+        }
+      : null;
+  },
+
+  // Command 'htop' not found, but can be installed with: sudo apt install htop
+  function installMissingCommand({ exitCode, stderr }) {
+    if (exitCode !== 127) return null;
+    const match =
+      /((?:sudo )?(?:apt|apt-get|dnf|yum|pacman -S|brew|snap) install \S+)/.exec(
+        stderr
+      );
+    return match
+      ? { command: match[1], explanation: "Install the missing command" }
+      : null;
+  },
+
+  function commandTypo({ command, exitCode }, { contextManager }) {
+    if (exitCode !== 127 || !contextManager) return null;
+    // The trailing space marks the last word as finished
+    const correction = contextManager.getCorrection(`${command} `);
+    return correction
+      ? { command: correction.command, explanation: "Fixed a typo" }
+      : null;
+  },
+
+  function mkdirParents({ command, stderr }) {
+    if (!/^mkdir\s/.test(command) || /\s-\w*p/.test(command)) return null;
+    return /No such file or directory/.test(stderr)
+      ? {
+          command: insertFlag(command, "-p"),
+          explanation: "Create parent directories too",
+        }
+      : null;
+  },
+
+  // rm: cannot remove 'dist': Is a directory / cp: -r not specified
+  function directoryNeedsRecursive({ command, stderr }) {
+    if (!/^(rm|cp)\s/.test(command)) return null;
+    if (!/Is a directory|-r not specified|omitting directory/.test(stderr)) {
+      return null;
+    }
+    return {
+      command: insertFlag(command, "-r"),
+      explanation: "Include directories",
+    };
+  },
+
+  function permissionDenied({ command, stderr }) {
+    if (/^sudo\s/.test(command)) return null;
+    const denied =
+      /permission denied|EACCES|operation not permitted|are you root|must be (?:run as )?root/i;
+    return denied.test(stderr)
+      ? { command: `sudo ${command}`, explanation: "Run it as root" }
+      : null;
+  },
+];
+
+function replaceWord(command, from, to) {
+  return command
+    .split(/(\s+)/)
+    .map((word) => (word === from ? to : word))
+    .join("");
+}
+
+// Adds a flag right after the program name
+function insertFlag(command, flag) {
+  return command.replace(/^(\S+)/, `$1 ${flag}`);
+}
+
+class CommandFixer {
+  constructor(contextManager = null) {
+    this.contextManager = contextManager;
+  }
+
+  // Whether a result is a failure worth fixing: not a success, not a
+  // builtin and not something the user interrupted
+  isFixable(result) {
+    return (
+      result.exitCode !== 0 &&
+      !result.builtin &&
+      !result.signal &&
+      result.exitCode !== 130
+    );
+  }
+
+  // Whether a model has enough to go on: error output, or an exit status
+  // that says what went wrong (126 not executable, 127 not found). A bare
+  // non-zero exit is often an answer, not an error: grep without a match,
+  // diff, test.
+  isDiagnosable(result) {
+    return (
+      Boolean(result.stderr && result.stderr.trim()) ||
+      result.exitCode === 126 ||
+      result.exitCode === 127
+    );
+  }
+
+  // The first rule's fix for a failed command, or null
+  getFix(failure) {
+    const command = failure.command.trim();
+    const input = { ...failure, command, stderr: failure.stderr || "" };
+
+    for (const rule of RULES) {
+      const fix = rule(input, { contextManager: this.contextManager });
+      if (fix && fix.command && fix.command !== command) {
+        return { ...fix, source: "rule" };
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = CommandFixer;
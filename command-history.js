@@ -0,0 +1,161 @@
+const fs = require("fs").promises;
+const path = require("path");
+const config = require("./config");
+const SecretRedactor = require("./secret-redactor");
+
+class CommandHistory {
+  constructor() {
+    this.historyFile = path.join(config.DATA_DIR, config.HISTORY_FILE);
+    this.maxEntries = config.HISTORY_MAX_ENTRIES;
+    this.entries = [];
+    this.navigationIndex = null;
+    this.navigationDraft = "";
+    this.redactor = new SecretRedactor();
+    this.ready = this.loadHistory();
+  }
+
+  async loadHistory() {
+    try {
+      const data = await fs.readFile(this.historyFile, "utf8");
+      const loaded = [];
+
+      data.split("\n").forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          const entry = JSON.parse(line);
+          if (entry && typeof entry.command === "string") {
+            loaded.push(entry);
+          }
+        } catch (error) {
+          // Skip lines truncated by a crash mid-write
+        }
+      });
+
+      // Entries added before the file finished loading go after it
+      this.entries = loaded.slice(-this.maxEntries).concat(this.entries);
+    } catch (error) {
+      if (config.DEBUG_MODE && error.code !== "ENOENT") {
+        console.error("Failed to load history:", error.message);
+      }
+    }
+  }
+
+  // The command is kept as typed for this session's recall; what is
+  // written to disk has secrets redacted
+  async add({ command, cwd, exitCode = null, duration = null }) {
+    const entry = {
+      command,
+      timestamp: Date.now(),
+      cwd: cwd || process.cwd(),
+      exitCode,
+      duration,
+    };
+    this.entries.push(entry);
+
+    try {
+      await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+      await fs.appendFile(this.historyFile, this.serialize(entry) + "\n");
+
+      // Compact once we're well past the limit so we don't rewrite the
+      // file on every command
+      if (this.entries.length > this.maxEntries * 1.1) {
+        await this.compact();
+      }
+    } catch (error) {
+      if (config.DEBUG_MODE) {
+        console.error("Failed to save history:", error.message);
+      }
+    }
+
+    return entry;
+  }
+
+  async compact() {
+    this.entries = this.entries.slice(-this.maxEntries);
+    const tempFile = `${this.historyFile}.${process.pid}.tmp`;
+    const data = this.entries.map((entry) => this.serialize(entry)).join("\n");
+    await fs.writeFile(tempFile, data + "\n");
+    await fs.rename(tempFile, this.historyFile);
+  }
+
+  serialize(entry) {
+    return JSON.stringify({
+      ...entry,
+      command: this.redactor.redact(entry.command),
+    });
+  }
+
+  size() {
+    return this.entries.length;
+  }
+
+  // Most recent first, without consecutive repeats
+  getRecentCommands(limit = 10) {
+    const commands = [];
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const command = this.entries[i].command;
+      if (commands[commands.length - 1] !== command) {
+        commands.push(command);
+      }
+      if (commands.length >= limit) break;
+    }
+    return commands;
+  }
+
+  /**
+   * Finds the newest entry at or before `fromIndex` whose command contains
+   * `query`. `skipCommand` lets repeated searches step past the match that
+   * is already shown.
+   */
+  searchBackward(query, fromIndex, skipCommand = null) {
+    const start = Math.min(fromIndex, this.entries.length - 1);
+    for (let i = start; i >= 0; i--) {
+      const command = this.entries[i].command;
+      if (command.includes(query) && command !== skipCommand) {
+        return { index: i, command };
+      }
+    }
+    return null;
+  }
+
+  // Up arrow: step back through history, remembering what was being typed
+  previous(currentInput) {
+    if (this.navigationIndex === null) {
+      this.navigationIndex = this.entries.length;
+      this.navigationDraft = currentInput;
+    }
+
+    for (let i = this.navigationIndex - 1; i >= 0; i--) {
+      if (this.entries[i].command !== currentInput) {
+        this.navigationIndex = i;
+        return this.entries[i].command;
+      }
+    }
+    return null;
+  }
+
+  // Down arrow: step forward, ending back at the draft input
+  next(currentInput) {
+    if (this.navigationIndex === null) {
+      return null;
+    }
+
+    for (let i = this.navigationIndex + 1; i < this.entries.length; i++) {
+      if (this.entries[i].command !== currentInput) {
+        this.navigationIndex = i;
+        return this.entries[i].command;
+      }
+    }
+
+    const draft = this.navigationDraft;
+    this.resetNavigation();
+    return draft;
+  }
+
+  resetNavigation() {
+    this.navigationIndex = null;
+    this.navigationDraft = "";
+  }
+}
+
+module.exports = CommandHistory;
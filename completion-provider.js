@@ -0,0 +1,291 @@
+const fs = require("fs").promises;
+const path = require("path");
+const chalk = require("chalk");
+const { tokenize } = require("./shell-parser");
+const ExecutableIndex = require("./executable-index");
+const SpecCompleter = require("./spec-completer");
+const ArgumentGenerators = require("./argument-generators");
+
+// A word right after one of these starts a new command
+const COMMAND_SEPARATORS = ["|", "&", ";", "("];
+
+/**
+ * Local Tab completion: command names from $PATH, builtins and aliases in
+ * command position; subcommands, options and argument values from
+ * completion specs for commands that have one; file and directory paths
+ * everywhere else. Works on the text before the cursor, so quoting, `~`
+ * and $VARS are read the way the shell will read them, and the inserted
+ * text is escaped to match.
+ */
+class CompletionProvider {
+  constructor() {
+    this.executableIndex = new ExecutableIndex();
+    this.specCompleter = new SpecCompleter();
+    this.generators = new ArgumentGenerators();
+    this.maxCandidates = 500;
+    this.maxDisplayed = 60;
+  }
+
+  loadExecutables(pathValue) {
+    return this.executableIndex.load(pathValue);
+  }
+
+  // Called after each command, which may have added a branch, started a
+  // container or edited a Makefile
+  invalidate() {
+    this.generators.invalidate();
+  }
+
+  async generateValues(generator, cwd, env) {
+    if (typeof generator !== "function") {
+      return this.generators.generate(generator, cwd);
+    }
+    try {
+      return (await generator({ cwd, env })) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // The (possibly empty) word ending at the cursor
+  getCurrentWord(line, cursor, env) {
+    const before = line.slice(0, cursor);
+    const { words, operators, unterminatedQuote } = tokenize(before, { env });
+    const last = words[words.length - 1];
+
+    const word =
+      last && last.end === before.length
+        ? last
+        : { value: "", raw: "", start: before.length };
+    const preceding = before.slice(0, word.start).trimEnd();
+    // Finished words of the simple command the cursor is in
+    const commandStart = operators.length > 0 ? operators.slice(-1)[0] : -1;
+    const previousWords = words
+      .filter((other) => other.start > commandStart && other.start < word.start)
+      .map((other) => other.value);
+
+    return {
+      value: word.value,
+      raw: word.raw,
+      quote: unterminatedQuote,
+      previousWords,
+      commandPosition:
+        preceding === "" ||
+        COMMAND_SEPARATORS.includes(preceding[preceding.length - 1]),
+    };
+  }
+
+  // Command names on `pathValue`, the session's $PATH, plus `commandNames`
+  async completeCommand(prefix, commandNames, pathValue) {
+    const executables = await this.loadExecutables(pathValue);
+    const names = new Set([...commandNames, ...executables]);
+    return Array.from(names)
+      .filter((name) => name.startsWith(prefix))
+      .sort()
+      .map((name) => ({ name, value: name, isDirectory: false }));
+  }
+
+  async completePath(value, cwd) {
+    const slash = value.lastIndexOf("/");
+    const directoryPart = value.slice(0, slash + 1);
+    const base = value.slice(slash + 1);
+    const directory = path.resolve(cwd, directoryPart || ".");
+    // Hidden entries only once the user has typed the leading dot
+    const showHidden = base.startsWith(".");
+
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    const matches = entries.filter(
+      (entry) =>
+        entry.name.startsWith(base) &&
+        (showHidden || !entry.name.startsWith("."))
+    );
+
+    const candidates = await Promise.all(
+      matches.slice(0, this.maxCandidates).map(async (entry) => {
+        let isDirectory = entry.isDirectory();
+        if (entry.isSymbolicLink()) {
+          try {
+            const stat = await fs.stat(path.join(directory, entry.name));
+            isDirectory = stat.isDirectory();
+          } catch (error) {
+            // Dangling link, complete it as a file
+          }
+        }
+        return {
+          name: entry.name,
+          value: directoryPart + entry.name,
+          isDirectory,
+        };
+      })
+    );
+
+    return candidates.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Escapes inserted text for the quoting in effect at the cursor
+  escape(text, quote) {
+    if (quote === "'") return text.replace(/'/g, "'\\''");
+    if (quote === '"') return text.replace(/(["\\$`])/g, "\\$1");
+    return text.replace(/([\s'"\\$`!&|;<>()*?[\]#{}])/g, "\\$1");
+  }
+
+  commonPrefix(names) {
+    return names.reduce((prefix, name) => {
+      let length = 0;
+      while (
+        length < prefix.length &&
+        length < name.length &&
+        prefix[length] === name[length]
+      ) {
+        length++;
+      }
+      return prefix.slice(0, length);
+    });
+  }
+
+  // Subcommands, options and argument values (fixed or generated) from the
+  // command's spec; null when the spec has nothing to say about this word,
+  // so the caller falls back to paths
+  async completeFromSpec(word, cwd, env) {
+    const result = this.specCompleter.complete(word.previousWords, word.value);
+    if (
+      !result ||
+      (result.candidates.length === 0 && !result.generator && !result.template)
+    ) {
+      return null;
+    }
+
+    const candidates = [...result.candidates];
+    if (result.generator) {
+      const values = await this.generateValues(result.generator, cwd, env);
+      values.forEach((value) => {
+        if (
+          value.name.startsWith(word.value) &&
+          !candidates.some((candidate) => candidate.name === value.name)
+        ) {
+          candidates.push({
+            name: value.name,
+            description: value.description || "",
+          });
+        }
+      });
+    }
+
+    const completions = candidates.map((candidate) => ({
+      ...candidate,
+      value: candidate.name,
+      isDirectory: false,
+    }));
+    if (result.template) {
+      const paths = await this.completePath(word.value, cwd);
+      completions.push(
+        ...(result.template === "folders"
+          ? paths.filter((candidate) => candidate.isDirectory)
+          : paths)
+      );
+    }
+    return completions;
+  }
+
+  /**
+   * Completes the word ending at `cursor`. `options` carries the session's
+   * cwd, env and extra command names (builtins, aliases). Returns null when
+   * nothing matches, otherwise { insert, candidates } where `insert` is the
+   * text to put at the cursor (possibly empty when the matches share no
+   * further prefix) and `candidates` lists every match as
+   * { name, description, isDirectory }.
+   */
+  async complete(line, cursor, { cwd, env = process.env, commandNames = [] }) {
+    const word = this.getCurrentWord(line, cursor, env);
+
+    // A word that already looks like a path is completed as one, even in
+    // command position (./script.sh, ~/bin/tool)
+    let candidates;
+    if (word.commandPosition && !word.value.includes("/")) {
+      candidates = await this.completeCommand(
+        word.value,
+        commandNames,
+        env.PATH
+      );
+    } else {
+      const fromSpec = word.commandPosition
+        ? null
+        : await this.completeFromSpec(word, cwd, env);
+      candidates = fromSpec || (await this.completePath(word.value, cwd));
+    }
+
+    if (candidates.length === 0) return null;
+
+    const common = this.commonPrefix(
+      candidates.map((candidate) => candidate.value)
+    );
+    let insert = this.escape(common.slice(word.value.length), word.quote);
+
+    if (candidates.length === 1) {
+      if (candidates[0].isDirectory) {
+        insert += "/";
+      } else {
+        // A finished word: close any open quote and move on to the next
+        insert += (word.quote || "") + " ";
+      }
+    }
+
+    return {
+      insert,
+      candidates: candidates.map(({ name, description, isDirectory }) => ({
+        name: name + (isDirectory ? "/" : ""),
+        description: description || "",
+        isDirectory,
+      })),
+    };
+  }
+
+  // Lays candidates out below the prompt: one per line with descriptions
+  // when the spec has them, otherwise in columns
+  formatCandidates(candidates, width = process.stdout.columns || 80) {
+    const shown = candidates.slice(0, this.maxDisplayed);
+    const columnWidth =
+      Math.max(...shown.map((candidate) => candidate.name.length)) + 2;
+    const color = (candidate, text) =>
+      candidate.isDirectory ? chalk.blue(text) : text;
+
+    const lines = [];
+    if (shown.some((candidate) => candidate.description)) {
+      shown.forEach((candidate) => {
+        lines.push(
+          color(candidate, candidate.name.padEnd(columnWidth)) +
+            chalk.gray(candidate.description)
+        );
+      });
+    } else {
+      const columns = Math.max(1, Math.floor(width / columnWidth));
+      for (let i = 0; i < shown.length; i += columns) {
+        lines.push(
+          shown
+            .slice(i, i + columns)
+            .map((candidate) =>
+              color(candidate, candidate.name.padEnd(columnWidth))
+            )
+            .join("")
+            .trimEnd()
+        );
+      }
+    }
+
+    if (candidates.length > shown.length) {
+      lines.push(
+        chalk.gray(`... and ${candidates.length - shown.length} more`)
+      );
+    }
+
+    return lines.join("\n");
+  }
+}
+
+module.exports = CompletionProvider;
@@ -0,0 +1,154 @@
+const services = { name: "service", generator: "composeServices" };
+
+module.exports = {
+  name: "docker-compose",
+  description: "Define and run multi-container applications",
+  options: [
+    {
+      name: ["-f", "--file"],
+      description: "Compose file",
+      args: { name: "file", template: "filepaths" },
+      isPersistent: true,
+    },
+    {
+      name: ["-p", "--project-name"],
+      description: "Project name",
+      args: { name: "name" },
+      isPersistent: true,
+    },
+    {
+      name: "--profile",
+      description: "Enable a profile",
+      args: { name: "profile" },
+      isPersistent: true,
+    },
+    {
+      name: "--env-file",
+      description: "Alternate environment file",
+      args: { name: "file", template: "filepaths" },
+      isPersistent: true,
+    },
+  ],
+  subcommands: [
+    {
+      name: "up",
+      description: "Create and start containers",
+      options: [
+        { name: ["-d", "--detach"], description: "Run in the background" },
+        { name: "--build", description: "Build images first" },
+        { name: "--force-recreate", description: "Recreate containers" },
+        { name: "--no-deps", description: "Don't start linked services" },
+        { name: "--remove-orphans", description: "Remove orphan containers" },
+        { name: "--wait", description: "Wait for services to be healthy" },
+      ],
+      args: services,
+    },
+    {
+      name: "down",
+      description: "Stop and remove containers and networks",
+      options: [
+        { name: ["-v", "--volumes"], description: "Remove volumes too" },
+        { name: "--remove-orphans", description: "Remove orphan containers" },
+        {
+          name: "--rmi",
+          description: "Remove images",
+          args: { name: "type", suggestions: ["all", "local"] },
+        },
+      ],
+    },
+    {
+      name: "build",
+      description: "Build or rebuild services",
+      options: [
+        { name: "--no-cache", description: "Don't use the cache" },
+        { name: "--pull", description: "Pull newer base images" },
+      ],
+      args: services,
+    },
+    {
+      name: "ps",
+      description: "List containers",
+      options: [
+        { name: ["-a", "--all"], description: "Show stopped containers" },
+        { name: ["-q", "--quiet"], description: "Only IDs" },
+      ],
+      args: services,
+    },
+    {
+      name: "logs",
+      description: "View output from containers",
+      options: [
+        { name: ["-f", "--follow"], description: "Follow log output" },
+        {
+          name: ["-n", "--tail"],
+          description: "Lines from the end",
+          args: { name: "n" },
+        },
+        { name: ["-t", "--timestamps"], description: "Show timestamps" },
+      ],
+      args: services,
+    },
+    {
+      name: "exec",
+      description: "Run a command in a running service",
+      options: [
+        { name: ["-T", "--no-TTY"], description: "Don't allocate a TTY" },
+        {
+          name: ["-u", "--user"],
+          description: "User to run as",
+          args: { name: "user" },
+        },
+        {
+          name: ["-w", "--workdir"],
+          description: "Working directory",
+          args: { name: "dir" },
+        },
+      ],
+      args: [services, { name: "command", suggestions: ["sh", "bash"] }],
+    },
+    {
+      name: "run",
+      description: "Run a one-off command on a service",
+      options: [
+        { name: "--rm", description: "Remove the container afterwards" },
+        { name: ["-d", "--detach"], description: "Run in the background" },
+        {
+          name: ["-e", "--env"],
+          description: "Set an environment variable",
+          args: { name: "KEY=value" },
+        },
+        { name: "--service-ports", description: "Publish the service's ports" },
+      ],
+      args: services,
+    },
+    { name: "pull", description: "Pull service images", args: services },
+    { name: "push", description: "Push service images", args: services },
+    { name: "start", description: "Start services", args: services },
+    { name: "stop", description: "Stop services", args: services },
+    { name: "restart", description: "Restart services", args: services },
+    {
+      name: "rm",
+      description: "Remove stopped containers",
+      options: [
+        { name: ["-f", "--force"], description: "Don't ask" },
+        { name: ["-s", "--stop"], description: "Stop first" },
+      ],
+      args: services,
+    },
+    {
+      name: "config",
+      description: "Validate and view the Compose file",
+      options: [
+        { name: ["-q", "--quiet"], description: "Only validate" },
+        { name: "--services", description: "Print the service names" },
+      ],
+    },
+    {
+      name: "top",
+      description: "Display the running processes",
+      args: services,
+    },
+    { name: "images", description: "List images used by services" },
+    { name: "version", description: "Show version information" },
+  ],
+};
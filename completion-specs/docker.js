@@ -0,0 +1,284 @@
+const compose = require("./docker-compose");
+
+const container = { name: "container", generator: "dockerContainers" };
+const anyContainer = { name: "container", generator: "dockerAllContainers" };
+const image = { name: "image", generator: "dockerImages" };
+const runOptions = [
+  { name: ["-d", "--detach"], description: "Run in the background" },
+  { name: ["-i", "--interactive"], description: "Keep STDIN open" },
+  { name: ["-t", "--tty"], description: "Allocate a pseudo-TTY" },
+  { name: "--rm", description: "Remove the container when it exits" },
+  { name: "--name", description: "Container name", args: { name: "name" } },
+  {
+    name: ["-p", "--publish"],
+    description: "Publish a port",
+    args: { name: "host:container" },
+  },
+  {
+    name: ["-v", "--volume"],
+    description: "Bind mount a volume",
+    args: { name: "host:container" },
+  },
+  {
+    name: ["-e", "--env"],
+    description: "Set an environment variable",
+    args: { name: "KEY=value" },
+  },
+  {
+    name: "--env-file",
+    description: "Read environment variables from a file",
+    args: { name: "file", template: "filepaths" },
+  },
+  {
+    name: ["-w", "--workdir"],
+    description: "Working directory inside the container",
+    args: { name: "dir" },
+  },
+  {
+    name: "--network",
+    description: "Connect to a network",
+    args: { name: "network", suggestions: ["host", "bridge", "none"] },
+  },
+  {
+    name: "--entrypoint",
+    description: "Override the entrypoint",
+    args: { name: "command" },
+  },
+  {
+    name: ["-u", "--user"],
+    description: "User to run as",
+    args: { name: "user" },
+  },
+  {
+    name: "--restart",
+    description: "Restart policy",
+    args: {
+      name: "policy",
+      suggestions: ["no", "on-failure", "always", "unless-stopped"],
+    },
+  },
+  {
+    name: "--platform",
+    description: "Target platform",
+    args: { name: "platform" },
+  },
+];
+
+module.exports = {
+  name: "docker",
+  description: "Container runtime",
+  options: [
+    { name: ["-v", "--version"], description: "Print version information" },
+    {
+      name: "--context",
+      description: "Context to use",
+      args: { name: "context" },
+    },
+    {
+      name: ["-H", "--host"],
+      description: "Daemon socket",
+      args: { name: "host" },
+    },
+  ],
+  subcommands: [
+    {
+      name: "run",
+      description: "Create and run a new container",
+      options: runOptions,
+      args: image,
+    },
+    {
+      name: "ps",
+      description: "List containers",
+      options: [
+        { name: ["-a", "--all"], description: "Show all containers" },
+        { name: ["-q", "--quiet"], description: "Only IDs" },
+        {
+          name: ["-f", "--filter"],
+          description: "Filter output",
+          args: { name: "filter" },
+        },
+        {
+          name: "--format",
+          description: "Format output",
+          args: { name: "template" },
+        },
+        { name: ["-s", "--size"], description: "Show sizes" },
+      ],
+    },
+    {
+      name: "exec",
+      description: "Run a command in a running container",
+      options: [
+        { name: ["-i", "--interactive"], description: "Keep STDIN open" },
+        { name: ["-t", "--tty"], description: "Allocate a pseudo-TTY" },
+        {
+          name: ["-u", "--user"],
+          description: "User to run as",
+          args: { name: "user" },
+        },
+        {
+          name: ["-w", "--workdir"],
+          description: "Working directory",
+          args: { name: "dir" },
+        },
+        {
+          name: ["-e", "--env"],
+          description: "Set an environment variable",
+          args: { name: "KEY=value" },
+        },
+      ],
+      args: [container, { name: "command", suggestions: ["sh", "bash"] }],
+    },
+    {
+      name: "build",
+      description: "Build an image from a Dockerfile",
+      options: [
+        {
+          name: ["-t", "--tag"],
+          description: "Image name and tag",
+          args: { name: "name:tag" },
+        },
+        {
+          name: ["-f", "--file"],
+          description: "Dockerfile path",
+          args: { name: "file", template: "filepaths" },
+        },
+        { name: "--no-cache", description: "Don't use the cache" },
+        {
+          name: "--build-arg",
+          description: "Set a build argument",
+          args: { name: "KEY=value" },
+        },
+        {
+          name: "--target",
+          description: "Build stage to stop at",
+          args: { name: "stage" },
+        },
+        { name: "--pull", description: "Always pull newer base images" },
+        {
+          name: "--platform",
+          description: "Target platform",
+          args: { name: "platform" },
+        },
+      ],
+      args: { name: "context", template: "folders" },
+    },
+    {
+      name: "images",
+      description: "List images",
+      options: [
+        { name: ["-a", "--all"], description: "Show all images" },
+        { name: ["-q", "--quiet"], description: "Only IDs" },
+      ],
+    },
+    { name: "pull", description: "Download an image", args: image },
+    { name: "push", description: "Upload an image", args: image },
+    {
+      name: "logs",
+      description: "Fetch the logs of a container",
+      options: [
+        { name: ["-f", "--follow"], description: "Follow log output" },
+        {
+          name: ["-n", "--tail"],
+          description: "Lines from the end",
+          args: { name: "n" },
+        },
+        { name: ["-t", "--timestamps"], description: "Show timestamps" },
+        {
+          name: "--since",
+          description: "Show logs since",
+          args: { name: "time" },
+        },
+      ],
+      args: container,
+    },
+    {
+      name: "start",
+      description: "Start stopped containers",
+      args: anyContainer,
+    },
+    { name: "stop", description: "Stop running containers", args: container },
+    { name: "restart", description: "Restart containers", args: container },
+    { name: "kill", description: "Kill running containers", args: container },
+    {
+      name: "rm",
+      description: "Remove containers",
+      options: [
+        { name: ["-f", "--force"], description: "Kill if running" },
+        { name: ["-v", "--volumes"], description: "Remove anonymous volumes" },
+      ],
+      args: anyContainer,
+    },
+    {
+      name: "rmi",
+      description: "Remove images",
+      options: [{ name: ["-f", "--force"], description: "Force removal" }],
+      args: image,
+    },
+    {
+      name: "inspect",
+      description: "Show low-level information",
+      args: anyContainer,
+    },
+    { name: "tag", description: "Tag an image", args: [image, image] },
+    {
+      name: "cp",
+      description: "Copy files to or from a container",
+      args: { name: "path", template: "filepaths" },
+    },
+    { name: "login", description: "Log in to a registry" },
+    { name: "logout", description: "Log out from a registry" },
+    { name: "stats", description: "Live resource usage", args: container },
+    {
+      name: "top",
+      description: "Running processes of a container",
+      args: container,
+    },
+    // The Compose plugin takes the same subcommands as docker-compose
+    { ...compose, name: "compose" },
+    {
+      name: "network",
+      description: "Manage networks",
+      subcommands: [
+        { name: "ls", description: "List networks" },
+        { name: "create", description: "Create a network" },
+        { name: "rm", description: "Remove networks" },
+        { name: "inspect", description: "Show network details" },
+        { name: "prune", description: "Remove unused networks" },
+        { name: "connect", description: "Connect a container" },
+        { name: "disconnect", description: "Disconnect a container" },
+      ],
+    },
+    {
+      name: "volume",
+      description: "Manage volumes",
+      subcommands: [
+        { name: "ls", description: "List volumes" },
+        { name: "create", description: "Create a volume" },
+        { name: "rm", description: "Remove volumes" },
+        { name: "inspect", description: "Show volume details" },
+        { name: "prune", description: "Remove unused volumes" },
+      ],
+    },
+    {
+      name: "system",
+      description: "Manage Docker",
+      subcommands: [
+        {
+          name: "prune",
+          description: "Remove unused data",
+          options: [
+            { name: ["-a", "--all"], description: "Remove all unused images" },
+            { name: "--volumes", description: "Prune volumes too" },
+            { name: ["-f", "--force"], description: "Don't prompt" },
+          ],
+        },
+        { name: "df", description: "Show disk usage" },
+        { name: "info", description: "Display system-wide information" },
+      ],
+    },
+    { name: "info", description: "Display system-wide information" },
+    { name: "version", description: "Show version information" },
+  ],
+};
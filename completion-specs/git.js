@@ -0,0 +1,499 @@
+const paths = { name: "pathspec", template: "filepaths" };
+const branch = { name: "branch", generator: "gitBranches" };
+const remote = { name: "remote", generator: "gitRemotes" };
+
+module.exports = {
+  name: "git",
+  description: "The stupid content tracker",
+  options: [
+    { name: "--version", description: "Print the git version" },
+    { name: ["-h", "--help"], description: "Show help" },
+    {
+      name: "-C",
+      description: "Run as if git was started in <path>",
+      args: { name: "path", template: "folders" },
+    },
+    {
+      name: "-c",
+      description: "Set a configuration variable for this command",
+      args: { name: "name=value" },
+    },
+    { name: "--no-pager", description: "Do not pipe output into a pager" },
+  ],
+  subcommands: [
+    {
+      name: "status",
+      description: "Show the working tree status",
+      options: [
+        { name: ["-s", "--short"], description: "Short format" },
+        { name: ["-b", "--branch"], description: "Show branch info" },
+        { name: "--porcelain", description: "Machine-readable output" },
+        {
+          name: ["-u", "--untracked-files"],
+          description: "Show untracked files",
+        },
+        { name: "--ignored", description: "Show ignored files too" },
+      ],
+      args: paths,
+    },
+    {
+      name: "add",
+      description: "Add file contents to the index",
+      options: [
+        { name: ["-A", "--all"], description: "Stage all changes" },
+        { name: ["-p", "--patch"], description: "Interactively choose hunks" },
+        { name: ["-u", "--update"], description: "Stage tracked files only" },
+        { name: ["-n", "--dry-run"], description: "Don't actually add" },
+        { name: ["-f", "--force"], description: "Allow ignored files" },
+        { name: ["-i", "--interactive"], description: "Interactive mode" },
+        {
+          name: ["-N", "--intent-to-add"],
+          description: "Record that the path will be added later",
+        },
+      ],
+      args: paths,
+    },
+    {
+      name: "commit",
+      description: "Record changes to the repository",
+      options: [
+        {
+          name: ["-m", "--message"],
+          description: "Commit message",
+          args: { name: "message" },
+        },
+        { name: ["-a", "--all"], description: "Stage modified files first" },
+        { name: "--amend", description: "Replace the tip commit" },
+        { name: "--no-edit", description: "Keep the existing message" },
+        { name: "--no-verify", description: "Skip pre-commit hooks" },
+        { name: ["-v", "--verbose"], description: "Show the diff" },
+        {
+          name: "--fixup",
+          description: "Make a fixup commit",
+          args: { name: "commit" },
+        },
+        { name: ["-s", "--signoff"], description: "Add Signed-off-by" },
+        { name: ["-S", "--gpg-sign"], description: "GPG-sign the commit" },
+        { name: "--allow-empty", description: "Allow an empty commit" },
+      ],
+      args: paths,
+    },
+    {
+      name: "push",
+      description: "Update remote refs",
+      options: [
+        { name: ["-f", "--force"], description: "Force the update" },
+        {
+          name: "--force-with-lease",
+          description: "Force only if the remote is where we expect",
+        },
+        {
+          name: ["-u", "--set-upstream"],
+          description: "Set upstream for the branch",
+        },
+        { name: "--tags", description: "Push all tags" },
+        { name: "--follow-tags", description: "Push annotated tags too" },
+        { name: ["-d", "--delete"], description: "Delete remote refs" },
+        { name: ["-n", "--dry-run"], description: "Do everything but send" },
+        { name: "--no-verify", description: "Skip pre-push hooks" },
+        { name: "--all", description: "Push all branches" },
+      ],
+      args: [remote, branch],
+    },
+    {
+      name: "pull",
+      description: "Fetch from and integrate with another repository",
+      options: [
+        { name: ["-r", "--rebase"], description: "Rebase instead of merge" },
+        { name: "--no-rebase", description: "Merge instead of rebase" },
+        { name: "--ff-only", description: "Only fast-forward" },
+        { name: "--autostash", description: "Stash local changes first" },
+        { name: "--tags", description: "Fetch all tags" },
+      ],
+      args: [remote, branch],
+    },
+    {
+      name: "fetch",
+      description: "Download objects and refs from another repository",
+      options: [
+        { name: "--all", description: "Fetch all remotes" },
+        { name: ["-p", "--prune"], description: "Remove deleted refs" },
+        { name: ["-t", "--tags"], description: "Fetch all tags" },
+        { name: "--depth", description: "Limit history", args: { name: "n" } },
+      ],
+      args: [remote, branch],
+    },
+    {
+      name: ["checkout", "co"],
+      description: "Switch branches or restore working tree files",
+      options: [
+        {
+          name: "-b",
+          description: "Create and switch to a new branch",
+          args: { name: "new-branch" },
+        },
+        {
+          name: "-B",
+          description: "Create or reset and switch to a branch",
+          args: { name: "new-branch" },
+        },
+        { name: ["-f", "--force"], description: "Discard local changes" },
+        { name: "--track", description: "Set upstream" },
+        { name: "--detach", description: "Detach HEAD" },
+        { name: "--", description: "Treat the rest as paths" },
+      ],
+      args: {
+        name: "branch or path",
+        generator: "gitBranches",
+        template: "filepaths",
+      },
+    },
+    {
+      name: "switch",
+      description: "Switch branches",
+      options: [
+        {
+          name: ["-c", "--create"],
+          description: "Create and switch to a new branch",
+          args: { name: "new-branch" },
+        },
+        { name: "--detach", description: "Detach HEAD" },
+        { name: ["-f", "--force"], description: "Discard local changes" },
+      ],
+      args: branch,
+    },
+    {
+      name: "restore",
+      description: "Restore working tree files",
+      options: [
+        { name: ["-S", "--staged"], description: "Restore the index" },
+        { name: ["-W", "--worktree"], description: "Restore the worktree" },
+        {
+          name: ["-s", "--source"],
+          description: "Restore from this tree",
+          args: { name: "tree" },
+        },
+        { name: ["-p", "--patch"], description: "Interactively choose hunks" },
+      ],
+      args: paths,
+    },
+    {
+      name: "branch",
+      description: "List, create, or delete branches",
+      options: [
+        { name: ["-a", "--all"], description: "List remote branches too" },
+        { name: ["-r", "--remotes"], description: "List remote branches" },
+        { name: ["-d", "--delete"], description: "Delete a merged branch" },
+        { name: "-D", description: "Force-delete a branch" },
+        { name: ["-m", "--move"], description: "Rename a branch" },
+        { name: ["-v", "--verbose"], description: "Show the tip commit" },
+        {
+          name: ["-u", "--set-upstream-to"],
+          description: "Set upstream",
+          args: { name: "upstream" },
+        },
+        { name: "--merged", description: "Only merged branches" },
+        { name: "--no-merged", description: "Only unmerged branches" },
+      ],
+      args: branch,
+    },
+    {
+      name: "merge",
+      description: "Join two or more development histories together",
+      options: [
+        { name: "--no-ff", description: "Always create a merge commit" },
+        { name: "--ff-only", description: "Only fast-forward" },
+        { name: "--squash", description: "Squash into one change" },
+        { name: "--abort", description: "Abort the merge in progress" },
+        { name: "--continue", description: "Continue after conflicts" },
+        {
+          name: ["-m", "--message"],
+          description: "Merge commit message",
+          args: { name: "message" },
+        },
+      ],
+      args: branch,
+    },
+    {
+      name: "rebase",
+      description: "Reapply commits on top of another base tip",
+      options: [
+        { name: ["-i", "--interactive"], description: "Edit the todo list" },
+        { name: "--continue", description: "Continue after conflicts" },
+        { name: "--abort", description: "Abort the rebase" },
+        { name: "--skip", description: "Skip the current patch" },
+        { name: "--onto", description: "New base", args: { name: "newbase" } },
+        { name: "--autosquash", description: "Apply fixup! commits" },
+        { name: "--autostash", description: "Stash local changes first" },
+      ],
+      args: branch,
+    },
+    {
+      name: "cherry-pick",
+      description: "Apply the changes introduced by existing commits",
+      options: [
+        { name: "--continue", description: "Continue after conflicts" },
+        { name: "--abort", description: "Abort the cherry-pick" },
+        { name: ["-n", "--no-commit"], description: "Don't commit" },
+        { name: "-x", description: "Record the original commit" },
+      ],
+      args: { name: "commit" },
+    },
+    {
+      name: "stash",
+      description: "Stash the changes in a dirty working directory",
+      options: [
+        {
+          name: ["-u", "--include-untracked"],
+          description: "Stash untracked files too",
+        },
+        {
+          name: ["-m", "--message"],
+          description: "Stash message",
+          args: { name: "message" },
+        },
+      ],
+      subcommands: [
+        { name: "push", description: "Save local changes" },
+        { name: "pop", description: "Apply and drop a stash" },
+        { name: "apply", description: "Apply a stash" },
+        { name: "list", description: "List stashes" },
+        { name: "show", description: "Show a stash's changes" },
+        { name: "drop", description: "Remove a stash" },
+        { name: "clear", description: "Remove all stashes" },
+        { name: "branch", description: "Create a branch from a stash" },
+      ],
+    },
+    {
+      name: "log",
+      description: "Show commit logs",
+      options: [
+        { name: "--oneline", description: "One line per commit" },
+        { name: "--graph", description: "Draw the history graph" },
+        { name: "--all", description: "All refs" },
+        { name: ["-p", "--patch"], description: "Show diffs" },
+        { name: "--stat", description: "Show diffstat" },
+        { name: "-n", description: "Limit the count", args: { name: "n" } },
+        {
+          name: "--author",
+          description: "Filter by author",
+          args: { name: "pattern" },
+        },
+        { name: "--since", description: "Newer than", args: { name: "date" } },
+        { name: "--decorate", description: "Show ref names" },
+        { name: "--follow", description: "Follow renames of a file" },
+      ],
+      args: { name: "revision or path", template: "filepaths" },
+    },
+    {
+      name: "diff",
+      description: "Show changes between commits, commit and working tree",
+      options: [
+        { name: ["--staged", "--cached"], description: "Diff the index" },
+        { name: "--stat", description: "Show diffstat" },
+        { name: "--name-only", description: "Only file names" },
+        { name: "--name-status", description: "File names and status" },
+        { name: "--word-diff", description: "Word-level diff" },
+        { name: "--color-words", description: "Colored word diff" },
+      ],
+      args: paths,
+    },
+    {
+      name: "show",
+      description: "Show various types of objects",
+      options: [
+        { name: "--stat", description: "Show diffstat" },
+        { name: "--name-only", description: "Only file names" },
+      ],
+      args: { name: "object" },
+    },
+    {
+      name: "reset",
+      description: "Reset current HEAD to the specified state",
+      options: [
+        { name: "--soft", description: "Keep index and worktree" },
+        { name: "--mixed", description: "Reset the index only" },
+        { name: "--hard", description: "Discard all changes" },
+        { name: ["-p", "--patch"], description: "Interactively choose hunks" },
+      ],
+      args: { name: "commit or path", suggestions: ["HEAD", "HEAD~1"] },
+    },
+    {
+      name: "revert",
+      description: "Revert some existing commits",
+      options: [
+        { name: "--no-edit", description: "Keep the default message" },
+        { name: ["-n", "--no-commit"], description: "Don't commit" },
+        { name: "--abort", description: "Abort the revert" },
+        { name: "--continue", description: "Continue after conflicts" },
+      ],
+      args: { name: "commit" },
+    },
+    {
+      name: "clone",
+      description: "Clone a repository into a new directory",
+      options: [
+        { name: "--depth", description: "Shallow clone", args: { name: "n" } },
+        {
+          name: ["-b", "--branch"],
+          description: "Check out this branch",
+          args: { name: "branch" },
+        },
+        { name: "--recurse-submodules", description: "Clone submodules" },
+        { name: "--bare", description: "Make a bare repository" },
+      ],
+      args: [
+        { name: "repository" },
+        { name: "directory", template: "folders" },
+      ],
+    },
+    {
+      name: "init",
+      description: "Create an empty Git repository",
+      options: [
+        { name: "--bare", description: "Make a bare repository" },
+        {
+          name: ["-b", "--initial-branch"],
+          description: "Initial branch name",
+          args: { name: "name", suggestions: ["main", "master"] },
+        },
+      ],
+      args: { name: "directory", template: "folders" },
+    },
+    {
+      name: "remote",
+      description: "Manage set of tracked repositories",
+      options: [{ name: ["-v", "--verbose"], description: "Show URLs" }],
+      subcommands: [
+        { name: "add", description: "Add a remote" },
+        { name: ["remove", "rm"], description: "Remove a remote" },
+        { name: "rename", description: "Rename a remote" },
+        { name: "set-url", description: "Change a remote's URL" },
+        { name: "get-url", description: "Show a remote's URL" },
+        { name: "show", description: "Show remote details" },
+        { name: "prune", description: "Delete stale remote branches" },
+      ],
+    },
+    {
+      name: "tag",
+      description: "Create, list, delete or verify tags",
+      options: [
+        { name: ["-a", "--annotate"], description: "Annotated tag" },
+        { name: ["-d", "--delete"], description: "Delete tags" },
+        { name: ["-l", "--list"], description: "List tags" },
+        {
+          name: ["-m", "--message"],
+          description: "Tag message",
+          args: { name: "message" },
+        },
+      ],
+      args: { name: "tagname" },
+    },
+    {
+      name: "rm",
+      description: "Remove files from the working tree and the index",
+      options: [
+        { name: "--cached", description: "Only remove from the index" },
+        { name: "-r", description: "Recurse into directories" },
+        { name: ["-f", "--force"], description: "Override checks" },
+      ],
+      args: paths,
+    },
+    {
+      name: "mv",
+      description: "Move or rename a file or directory",
+      args: [paths, paths],
+    },
+    {
+      name: "clean",
+      description: "Remove untracked files",
+      options: [
+        { name: "-n", description: "Dry run" },
+        { name: "-f", description: "Force" },
+        { name: "-d", description: "Remove directories too" },
+        { name: "-x", description: "Remove ignored files too" },
+      ],
+    },
+    {
+      name: "blame",
+      description: "Show what revision last modified each line",
+      args: paths,
+    },
+    {
+      name: "bisect",
+      description: "Binary search for the commit that introduced a bug",
+      subcommands: [
+        { name: "start", description: "Start bisecting" },
+        { name: "good", description: "Mark a commit good" },
+        { name: "bad", description: "Mark a commit bad" },
+        { name: "skip", description: "Skip a commit" },
+        { name: "reset", description: "Stop bisecting" },
+        { name: "run", description: "Bisect with a script" },
+      ],
+    },
+    {
+      name: "submodule",
+      description: "Initialize, update or inspect submodules",
+      subcommands: [
+        { name: "add", description: "Add a submodule" },
+        {
+          name: "update",
+          description: "Update submodules",
+          options: [
+            { name: "--init", description: "Initialize first" },
+            { name: "--recursive", description: "Recurse into submodules" },
+            { name: "--remote", description: "Use the remote tracking branch" },
+          ],
+        },
+        { name: "status", description: "Show submodule status" },
+        { name: "init", description: "Initialize submodules" },
+        { name: "sync", description: "Sync submodule URLs" },
+      ],
+    },
+    {
+      name: "worktree",
+      description: "Manage multiple working trees",
+      subcommands: [
+        { name: "add", description: "Create a worktree" },
+        { name: "list", description: "List worktrees" },
+        { name: "remove", description: "Remove a worktree" },
+        { name: "prune", description: "Prune stale worktrees" },
+      ],
+    },
+    {
+      name: "config",
+      description: "Get and set repository or global options",
+      options: [
+        { name: "--global", description: "Use the global config" },
+        { name: "--local", description: "Use the repository config" },
+        { name: ["-l", "--list"], description: "List all settings" },
+        { name: "--unset", description: "Remove a setting" },
+      ],
+      args: {
+        name: "name",
+        suggestions: [
+          "user.name",
+          "user.email",
+          "core.editor",
+          "init.defaultBranch",
+          "pull.rebase",
+          "push.autoSetupRemote",
+        ],
+      },
+    },
+    {
+      name: "reflog",
+      description: "Manage reflog information",
+    },
+    {
+      name: "grep",
+      description: "Print lines matching a pattern",
+      options: [
+        { name: ["-n", "--line-number"], description: "Show line numbers" },
+        { name: ["-i", "--ignore-case"], description: "Case insensitive" },
+        { name: ["-l", "--files-with-matches"], description: "Only names" },
+      ],
+      args: [{ name: "pattern" }, paths],
+    },
+  ],
+};
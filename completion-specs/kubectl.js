@@ -0,0 +1,274 @@
+const resourceTypes = {
+  name: "type",
+  suggestions: [
+    "pods",
+    "deployments",
+    "services",
+    "nodes",
+    "namespaces",
+    "configmaps",
+    "secrets",
+    "ingresses",
+    "statefulsets",
+    "daemonsets",
+    "replicasets",
+    "jobs",
+    "cronjobs",
+    "persistentvolumeclaims",
+    "persistentvolumes",
+    "events",
+    "serviceaccounts",
+    "all",
+  ],
+};
+const output = {
+  name: ["-o", "--output"],
+  description: "Output format",
+  args: {
+    name: "format",
+    suggestions: ["json", "yaml", "wide", "name", "jsonpath="],
+  },
+};
+const selector = {
+  name: ["-l", "--selector"],
+  description: "Label selector",
+  args: { name: "selector" },
+};
+const file = {
+  name: ["-f", "--filename"],
+  description: "Manifest file or directory",
+  args: { name: "file", template: "filepaths" },
+};
+
+module.exports = {
+  name: "kubectl",
+  description: "Kubernetes command-line tool",
+  options: [
+    {
+      name: ["-n", "--namespace"],
+      description: "Namespace for this request",
+      args: { name: "namespace" },
+      isPersistent: true,
+    },
+    {
+      name: "--context",
+      description: "Kubeconfig context to use",
+      args: { name: "context" },
+      isPersistent: true,
+    },
+    {
+      name: "--kubeconfig",
+      description: "Kubeconfig file",
+      args: { name: "file", template: "filepaths" },
+      isPersistent: true,
+    },
+    {
+      name: ["-A", "--all-namespaces"],
+      description: "Across all namespaces",
+      isPersistent: true,
+    },
+  ],
+  subcommands: [
+    {
+      name: "get",
+      description: "Display one or many resources",
+      options: [
+        output,
+        selector,
+        file,
+        { name: ["-w", "--watch"], description: "Watch for changes" },
+        { name: "--show-labels", description: "Show labels" },
+      ],
+      args: resourceTypes,
+    },
+    {
+      name: "describe",
+      description: "Show details of a resource",
+      options: [selector, file],
+      args: resourceTypes,
+    },
+    {
+      name: "apply",
+      description: "Apply a configuration to a resource",
+      options: [
+        file,
+        {
+          name: ["-k", "--kustomize"],
+          description: "Kustomization directory",
+          args: { name: "dir", template: "folders" },
+        },
+        {
+          name: "--dry-run",
+          description: "Only print what would be sent",
+          args: { name: "mode", suggestions: ["client", "server", "none"] },
+        },
+        {
+          name: "--prune",
+          description: "Delete resources not in the manifests",
+        },
+        { name: "--server-side", description: "Apply on the server" },
+      ],
+    },
+    {
+      name: "delete",
+      description: "Delete resources",
+      options: [
+        file,
+        selector,
+        { name: "--force", description: "Delete immediately" },
+        {
+          name: "--grace-period",
+          description: "Seconds before killing",
+          args: { name: "seconds" },
+        },
+        { name: "--all", description: "All resources of the type" },
+      ],
+      args: resourceTypes,
+    },
+    {
+      name: "logs",
+      description: "Print the logs for a container in a pod",
+      options: [
+        { name: ["-f", "--follow"], description: "Stream the logs" },
+        {
+          name: ["-c", "--container"],
+          description: "Container name",
+          args: { name: "container" },
+        },
+        {
+          name: "--tail",
+          description: "Lines from the end",
+          args: { name: "n" },
+        },
+        {
+          name: ["-p", "--previous"],
+          description: "Previous container instance",
+        },
+        {
+          name: "--since",
+          description: "Only logs newer than",
+          args: { name: "duration" },
+        },
+        selector,
+      ],
+      args: { name: "pod" },
+    },
+    {
+      name: "exec",
+      description: "Execute a command in a container",
+      options: [
+        { name: ["-i", "--stdin"], description: "Pass stdin to the container" },
+        { name: ["-t", "--tty"], description: "Allocate a TTY" },
+        {
+          name: ["-c", "--container"],
+          description: "Container name",
+          args: { name: "container" },
+        },
+      ],
+      args: { name: "pod" },
+    },
+    {
+      name: "port-forward",
+      description: "Forward local ports to a pod",
+      options: [
+        {
+          name: "--address",
+          description: "Addresses to listen on",
+          args: { name: "address" },
+        },
+      ],
+      args: [{ name: "pod" }, { name: "local:remote" }],
+    },
+    {
+      name: "create",
+      description: "Create a resource",
+      options: [file],
+      subcommands: [
+        { name: "namespace", description: "Create a namespace" },
+        { name: "deployment", description: "Create a deployment" },
+        { name: "secret", description: "Create a secret" },
+        { name: "configmap", description: "Create a config map" },
+        { name: "job", description: "Create a job" },
+        { name: "service", description: "Create a service" },
+      ],
+    },
+    { name: "edit", description: "Edit a resource", args: resourceTypes },
+    {
+      name: "rollout",
+      description: "Manage the rollout of a resource",
+      subcommands: [
+        { name: "status", description: "Show rollout status" },
+        { name: "history", description: "View rollout history" },
+        { name: "restart", description: "Restart a resource" },
+        { name: "undo", description: "Undo a rollout" },
+        { name: "pause", description: "Pause a rollout" },
+        { name: "resume", description: "Resume a paused rollout" },
+      ],
+    },
+    {
+      name: "scale",
+      description: "Set a new size for a deployment or replica set",
+      options: [
+        {
+          name: "--replicas",
+          description: "New replica count",
+          args: { name: "n" },
+        },
+      ],
+      args: resourceTypes,
+    },
+    {
+      name: "config",
+      description: "Modify kubeconfig files",
+      subcommands: [
+        { name: "get-contexts", description: "List contexts" },
+        { name: "current-context", description: "Show the current context" },
+        { name: "use-context", description: "Switch context" },
+        { name: "set-context", description: "Set a context entry" },
+        { name: "view", description: "Show merged kubeconfig" },
+      ],
+    },
+    {
+      name: "top",
+      description: "Display resource usage",
+      subcommands: [
+        { name: ["pod", "pods"], description: "Pod usage" },
+        { name: ["node", "nodes"], description: "Node usage" },
+      ],
+    },
+    {
+      name: "label",
+      description: "Update labels on a resource",
+      args: resourceTypes,
+    },
+    {
+      name: "annotate",
+      description: "Update annotations on a resource",
+      args: resourceTypes,
+    },
+    {
+      name: "explain",
+      description: "Get documentation for a resource",
+      args: resourceTypes,
+    },
+    { name: "cluster-info", description: "Display cluster information" },
+    { name: "version", description: "Print client and server versions" },
+    { name: "api-resources", description: "List supported resource types" },
+    {
+      name: "cp",
+      description: "Copy files to and from containers",
+      args: { name: "path", template: "filepaths" },
+    },
+    {
+      name: "diff",
+      description: "Diff live and applied configuration",
+      options: [file],
+    },
+    { name: "run", description: "Run an image in a pod" },
+    {
+      name: "expose",
+      description: "Expose a resource as a service",
+      args: resourceTypes,
+    },
+  ],
+};
@@ -0,0 +1,27 @@
+module.exports = {
+  name: ["make", "gmake"],
+  description: "Maintain groups of programs",
+  options: [
+    {
+      name: ["-C", "--directory"],
+      description: "Change to this directory first",
+      args: { name: "dir", template: "folders" },
+    },
+    {
+      name: ["-f", "--file"],
+      description: "Read this file as the makefile",
+      args: { name: "file", template: "filepaths" },
+    },
+    {
+      name: ["-j", "--jobs"],
+      description: "Run this many jobs at once",
+      args: { name: "n" },
+    },
+    { name: ["-n", "--dry-run"], description: "Print commands only" },
+    { name: ["-B", "--always-make"], description: "Rebuild everything" },
+    { name: ["-k", "--keep-going"], description: "Continue after errors" },
+    { name: ["-s", "--silent"], description: "Don't echo commands" },
+    { name: ["-q", "--question"], description: "Only report if up to date" },
+  ],
+  args: { name: "target", generator: "makeTargets" },
+};
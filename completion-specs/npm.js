@@ -0,0 +1,206 @@
+const packages = { name: "package" };
+const saveOptions = [
+  { name: ["-D", "--save-dev"], description: "Save to devDependencies" },
+  { name: ["-P", "--save-prod"], description: "Save to dependencies" },
+  { name: ["-O", "--save-optional"], description: "Save as optional" },
+  { name: ["-E", "--save-exact"], description: "Pin the exact version" },
+  { name: "--no-save", description: "Don't update package.json" },
+  { name: ["-g", "--global"], description: "Install globally" },
+];
+
+module.exports = {
+  name: "npm",
+  description: "Node package manager",
+  options: [
+    { name: ["-v", "--version"], description: "Print the npm version" },
+    { name: ["-h", "--help"], description: "Show help" },
+    {
+      name: ["-w", "--workspace"],
+      description: "Run in a workspace",
+      args: { name: "workspace" },
+      isPersistent: true,
+    },
+    {
+      name: "--prefix",
+      description: "Run in this directory",
+      args: { name: "path", template: "folders" },
+      isPersistent: true,
+    },
+  ],
+  subcommands: [
+    {
+      name: ["install", "i", "add"],
+      description: "Install a package",
+      options: [
+        ...saveOptions,
+        { name: "--legacy-peer-deps", description: "Ignore peer conflicts" },
+        { name: "--force", description: "Force fetching and installing" },
+        { name: "--production", description: "Skip devDependencies" },
+        {
+          name: "--ignore-scripts",
+          description: "Don't run lifecycle scripts",
+        },
+      ],
+      args: packages,
+    },
+    {
+      name: "ci",
+      description: "Clean install from the lockfile",
+      options: [
+        {
+          name: "--omit",
+          description: "Skip a dependency type",
+          args: { name: "type", suggestions: ["dev", "optional", "peer"] },
+        },
+        {
+          name: "--ignore-scripts",
+          description: "Don't run lifecycle scripts",
+        },
+      ],
+    },
+    {
+      name: ["uninstall", "remove", "rm", "un"],
+      description: "Remove a package",
+      options: saveOptions,
+      args: packages,
+    },
+    {
+      name: ["update", "up", "upgrade"],
+      description: "Update packages",
+      options: [{ name: ["-g", "--global"], description: "Update globally" }],
+      args: packages,
+    },
+    {
+      name: ["run", "run-script"],
+      description: "Run a script from package.json",
+      options: [
+        { name: "--if-present", description: "Don't fail if it's missing" },
+        { name: "--silent", description: "Less output" },
+        { name: "--workspaces", description: "Run in all workspaces" },
+      ],
+      args: { name: "script", generator: "npmScripts" },
+    },
+    { name: ["test", "t"], description: "Run the test script" },
+    { name: "start", description: "Run the start script" },
+    { name: "stop", description: "Run the stop script" },
+    { name: "restart", description: "Run the restart script" },
+    {
+      name: "init",
+      description: "Create a package.json",
+      options: [{ name: ["-y", "--yes"], description: "Accept defaults" }],
+    },
+    {
+      name: ["exec", "x"],
+      description: "Run a command from a package",
+      options: [
+        {
+          name: "--package",
+          description: "Package to install",
+          args: { name: "package" },
+        },
+      ],
+    },
+    {
+      name: ["ls", "list"],
+      description: "List installed packages",
+      options: [
+        { name: "--all", description: "Show all dependencies" },
+        { name: "--depth", description: "Max depth", args: { name: "n" } },
+        { name: ["-g", "--global"], description: "Global packages" },
+      ],
+      args: packages,
+    },
+    {
+      name: "outdated",
+      description: "Check for outdated packages",
+      args: packages,
+    },
+    {
+      name: "audit",
+      description: "Run a security audit",
+      options: [
+        { name: "--json", description: "JSON output" },
+        {
+          name: "--audit-level",
+          description: "Minimum level to fail on",
+          args: {
+            name: "level",
+            suggestions: ["low", "moderate", "high", "critical"],
+          },
+        },
+      ],
+      subcommands: [{ name: "fix", description: "Fix vulnerabilities" }],
+    },
+    {
+      name: "version",
+      description: "Bump the package version",
+      args: {
+        name: "version",
+        suggestions: ["patch", "minor", "major", "prerelease"],
+      },
+    },
+    {
+      name: "publish",
+      description: "Publish a package",
+      options: [
+        {
+          name: "--access",
+          description: "Package access",
+          args: { name: "access", suggestions: ["public", "restricted"] },
+        },
+        { name: "--tag", description: "Dist-tag", args: { name: "tag" } },
+        { name: "--dry-run", description: "Don't actually publish" },
+      ],
+      args: { name: "folder", template: "folders" },
+    },
+    {
+      name: "pack",
+      description: "Create a tarball",
+      options: [{ name: "--dry-run", description: "Only list the files" }],
+    },
+    {
+      name: "link",
+      description: "Symlink a package folder",
+      args: { name: "folder", template: "folders" },
+    },
+    { name: "view", description: "View registry info", args: packages },
+    { name: "search", description: "Search the registry" },
+    {
+      name: "cache",
+      description: "Manipulate the package cache",
+      subcommands: [
+        {
+          name: "clean",
+          description: "Delete the cache",
+          options: [{ name: "--force", description: "Required to clean" }],
+        },
+        { name: "verify", description: "Verify the cache" },
+        { name: "ls", description: "List cache entries" },
+      ],
+    },
+    {
+      name: "config",
+      description: "Manage the npm configuration",
+      subcommands: [
+        { name: "get", description: "Print a value" },
+        { name: "set", description: "Set a value" },
+        { name: "delete", description: "Delete a value" },
+        { name: "list", description: "List all values" },
+        { name: "edit", description: "Open the config file" },
+      ],
+    },
+    { name: "login", description: "Log in to a registry" },
+    { name: "logout", description: "Log out of a registry" },
+    { name: "whoami", description: "Show the npm username" },
+    { name: "doctor", description: "Check the npm environment" },
+    { name: "dedupe", description: "Reduce duplication" },
+    { name: "prune", description: "Remove extraneous packages" },
+    { name: "rebuild", description: "Rebuild native packages", args: packages },
+    { name: "fund", description: "Show funding information" },
+    {
+      name: "explain",
+      description: "Explain why a package is installed",
+      args: packages,
+    },
+  ],
+};
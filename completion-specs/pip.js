@@ -0,0 +1,162 @@
+const packages = { name: "package" };
+
+module.exports = {
+  name: ["pip", "pip3"],
+  description: "Python package installer",
+  options: [
+    { name: ["-V", "--version"], description: "Show the version" },
+    { name: ["-h", "--help"], description: "Show help", isPersistent: true },
+    { name: ["-q", "--quiet"], description: "Less output", isPersistent: true },
+    {
+      name: ["-v", "--verbose"],
+      description: "More output",
+      isPersistent: true,
+    },
+  ],
+  subcommands: [
+    {
+      name: "install",
+      description: "Install packages",
+      options: [
+        {
+          name: ["-r", "--requirement"],
+          description: "Install from a requirements file",
+          args: { name: "file", template: "filepaths" },
+        },
+        {
+          name: ["-U", "--upgrade"],
+          description: "Upgrade to the newest version",
+        },
+        {
+          name: ["-e", "--editable"],
+          description: "Editable install",
+          args: { name: "path", template: "folders" },
+        },
+        { name: "--user", description: "Install to the user site" },
+        { name: "--no-deps", description: "Don't install dependencies" },
+        { name: "--pre", description: "Include pre-releases" },
+        { name: "--force-reinstall", description: "Reinstall everything" },
+        { name: "--no-cache-dir", description: "Disable the cache" },
+        {
+          name: ["-i", "--index-url"],
+          description: "Package index URL",
+          args: { name: "url" },
+        },
+        {
+          name: "--extra-index-url",
+          description: "Extra index URL",
+          args: { name: "url" },
+        },
+        {
+          name: "--break-system-packages",
+          description: "Allow modifying an externally managed environment",
+        },
+      ],
+      args: packages,
+    },
+    {
+      name: "uninstall",
+      description: "Uninstall packages",
+      options: [
+        { name: ["-y", "--yes"], description: "Don't ask for confirmation" },
+        {
+          name: ["-r", "--requirement"],
+          description: "Uninstall what a requirements file lists",
+          args: { name: "file", template: "filepaths" },
+        },
+      ],
+      args: packages,
+    },
+    {
+      name: "list",
+      description: "List installed packages",
+      options: [
+        { name: ["-o", "--outdated"], description: "Only outdated packages" },
+        { name: ["-u", "--uptodate"], description: "Only up-to-date packages" },
+        { name: "--user", description: "Only the user site" },
+        {
+          name: "--format",
+          description: "Output format",
+          args: { name: "format", suggestions: ["columns", "freeze", "json"] },
+        },
+      ],
+    },
+    {
+      name: "freeze",
+      description: "Output installed packages in requirements format",
+      options: [
+        { name: "--all", description: "Include pip, setuptools and wheel" },
+        { name: "--user", description: "Only the user site" },
+      ],
+    },
+    {
+      name: "show",
+      description: "Show information about packages",
+      options: [
+        { name: ["-f", "--files"], description: "List installed files" },
+      ],
+      args: packages,
+    },
+    {
+      name: "download",
+      description: "Download packages",
+      options: [
+        {
+          name: ["-d", "--dest"],
+          description: "Download directory",
+          args: { name: "dir", template: "folders" },
+        },
+        {
+          name: ["-r", "--requirement"],
+          description: "Requirements file",
+          args: { name: "file", template: "filepaths" },
+        },
+      ],
+      args: packages,
+    },
+    {
+      name: "wheel",
+      description: "Build wheels",
+      options: [
+        {
+          name: ["-w", "--wheel-dir"],
+          description: "Output directory",
+          args: { name: "dir", template: "folders" },
+        },
+      ],
+      args: packages,
+    },
+    {
+      name: "check",
+      description: "Verify installed packages have compatible dependencies",
+    },
+    {
+      name: "cache",
+      description: "Inspect and manage pip's cache",
+      subcommands: [
+        { name: "dir", description: "Show the cache directory" },
+        { name: "info", description: "Show cache information" },
+        { name: "list", description: "List cached wheels" },
+        { name: "remove", description: "Remove matching wheels" },
+        { name: "purge", description: "Remove everything" },
+      ],
+    },
+    {
+      name: "config",
+      description: "Manage configuration",
+      subcommands: [
+        { name: "list", description: "List settings" },
+        { name: "get", description: "Get a value" },
+        { name: "set", description: "Set a value" },
+        { name: "unset", description: "Unset a value" },
+        { name: "edit", description: "Edit the config file" },
+      ],
+    },
+    { name: "inspect", description: "Inspect the Python environment" },
+    {
+      name: "hash",
+      description: "Compute archive hashes",
+      args: { name: "file", template: "filepaths" },
+    },
+  ],
+};
@@ -1,4 +1,40 @@
 require("dotenv").config();
+const os = require("os");
+const path = require("path");
+
+// Per-user data directory (history, learned models), following each
+// platform's convention
+function getDataDirectory() {
+  if (process.env.XDG_DATA_HOME) {
+    return path.join(process.env.XDG_DATA_HOME, "gemini-terminal");
+  }
+  if (process.platform === "win32") {
+    return path.join(
+      process.env.APPDATA || path.join(os.homedir(), "AppData", "Roaming"),
+      "gemini-terminal"
+    );
+  }
+  if (process.platform === "darwin") {
+    return path.join(
+      os.homedir(),
+      "Library",
+      "Application Support",
+      "gemini-terminal"
+    );
+  }
+  return path.join(os.homedir(), ".local", "share", "gemini-terminal");
+}
+
+// Per-user configuration directory (completion specs)
+function getConfigDirectory() {
+  if (process.env.XDG_CONFIG_HOME) {
+    return path.join(process.env.XDG_CONFIG_HOME, "gemini-terminal");
+  }
+  if (process.platform === "win32" || process.platform === "darwin") {
+    return getDataDirectory();
+  }
+  return path.join(os.homedir(), ".config", "gemini-terminal");
+}
 
 module.exports = {
   // Use only an array of keys for rotation. Add as many as you want.
@@ -9,18 +45,77 @@ module.exports = {
     process.env.GEMINI_API_URL ||
     "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent",
 
+  // LLM Provider Settings
+  OFFLINE_MODE:
+    process.env.OFFLINE_MODE === "true" || process.argv.includes("--offline"), // No remote providers; local sources only
+  LLM_PROVIDER: process.env.LLM_PROVIDER || "gemini", // gemini, openai, ollama or llamacpp
+  OPENAI_API_KEYS: process.env.OPENAI_API_KEYS
+    ? process.env.OPENAI_API_KEYS.split(",")
+    : [],
+  OPENAI_API_URL:
+    process.env.OPENAI_API_URL || "https://api.openai.com/v1/chat/completions", // Any OpenAI-compatible chat endpoint
+  OPENAI_MODEL: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  OLLAMA_API_URL: process.env.OLLAMA_API_URL || "http://localhost:11434", // Base URL of the Ollama server
+  OLLAMA_MODEL: process.env.OLLAMA_MODEL || "llama3.2",
+  STRUCTURED_OUTPUT: process.env.STRUCTURED_OUTPUT !== "false", // Ask providers for schema-constrained JSON; turn off for servers that reject it
+  LLAMACPP_API_URL:
+    process.env.LLAMACPP_API_URL || "http://localhost:8080/v1/chat/completions", // llama-server chat endpoint
+  KEY_COOLDOWN: 60000, // How long a rate-limited key rests when the API doesn't say; doubles while it stays limited (ms)
+  RETRY_ATTEMPTS: 2, // Retries after a server or network error
+  RETRY_BASE_DELAY: 250, // Backoff before the first retry, doubling each time, with jitter (ms)
+  RETRY_MAX_DELAY: 4000, // Longest backoff; a longer Retry-After fails the request instead (ms)
+  CIRCUIT_FAILURE_THRESHOLD: 3, // Requests in a row that get no answer (or a 5xx) before the provider counts as down
+  CIRCUIT_PROBE_INTERVAL: 15000, // How often to check whether a provider that is down is back (ms)
+
   // Cost Optimization Settings
   SUGGESTION_DELAY: 2000, // Increased delay to reduce API calls (ms)
   MIN_INPUT_LENGTH: 3, // Minimum characters before requesting suggestions
   MAX_SUGGESTION_LENGTH: 30, // Reduced max length to save tokens
+  SUGGESTION_CANDIDATES: 3, // Ranked suggestions asked for per request
   ENABLE_SUGGESTIONS: true, // Toggle suggestions on/off
   MAX_DAILY_REQUESTS: 100, // Daily request limit
   REQUEST_COOLDOWN: 5000, // Cooldown between requests (ms)
+  STREAM_SUGGESTIONS: true, // Show suggestion text as it is generated
+  COMMAND_REQUEST_PREFIXES: ["#", "?"], // "# find big files" asks for a command in plain words
+  MAX_COMMAND_LENGTH: 300, // Longest command a plain-words request may produce
 
   // Caching Settings
   ENABLE_CACHE: true, // Enable suggestion caching
   CACHE_DURATION: 3600000, // Cache duration in ms (1 hour)
   MAX_CACHE_SIZE: 1000, // Maximum cached suggestions
+  EXPLANATION_CACHE_FILE: "explanation-cache.json", // Model answers to `explain`, kept until cleared
+
+  // Command Execution Settings
+  COMMAND_SHELL:
+    process.env.SHELL ||
+    (process.platform === "win32"
+      ? process.env.ComSpec || "cmd.exe"
+      : "/bin/sh"), // Shell used to run commands
+  CAPTURE_STDERR: false, // Keep the end of stderr for fix suggestions; commands then see a pipe, not a terminal
+  STDERR_TAIL_LINES: 20, // Lines of stderr kept per command
+  SUGGEST_FIXES: true, // Offer a corrected command after one fails
+  CONFIRM_RISKY_COMMANDS: true, // Ask before running commands rated high risk
+
+  // Privacy Settings
+  REDACT_SECRETS: true, // Replace tokens and passwords in prompts, caches, history and logs
+  REDACTION_MIN_ENTROPY: 3.5, // Bits per character above which long mixed tokens count as secrets
+  PRIVACY_POLICY_FILE: path.join(getConfigDirectory(), "privacy.json"), // What may be sent to remote APIs, and from where
+  PRIVACY_DOTFILE: ".gemini-privacy.json", // Per-repo policy, found in the directory or a parent
+  PRIVACY_POLICY_TTL: 2000, // How long a directory's policy is used before its files are checked for changes
+  AUDIT_LOG: process.env.AUDIT_LOG === "true", // Record every prompt sent and what came back
+  AUDIT_LOG_FILE: "audit.jsonl", // Audit log, one JSON entry per request, in DATA_DIR
+
+  // History Settings
+  DATA_DIR: getDataDirectory(), // Where history and learned data live
+  HISTORY_FILE: "history.jsonl", // Command history, one JSON entry per line
+  HISTORY_MAX_ENTRIES: 10000, // Oldest entries are dropped beyond this
+  HISTORY_IMPORT_LIMIT: 5000, // Max commands taken from bash/zsh/fish history
+  ML_MODEL_FILE: "ml-model.json", // Learned ML behavior model, in DATA_DIR
+  FRECENCY_HALF_LIFE_HOURS: 72, // How fast past command usage fades in ranking
+  CONFIG_DIR: getConfigDirectory(), // Where user configuration lives
+  COMPLETION_SPEC_DIR: path.join(getConfigDirectory(), "completions"), // User completion specs (.js/.json)
+  RISK_RULES_FILE: path.join(getConfigDirectory(), "risk-rules.json"), // Extra or replaced risk rules
+  REDACTION_RULES_FILE: path.join(getConfigDirectory(), "redaction-rules.json"), // Extra or replaced secret patterns
 
   // UI Settings
   ENABLE_COLORS: true,
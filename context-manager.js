@@ -4,11 +4,31 @@ const { exec } = require("child_process");
 const { promisify } = require("util");
 const chalk = require("chalk");
 const config = require("./config");
+const FuzzyMatcher = require("./fuzzy-matcher");
+const SpecCompleter = require("./spec-completer");
+const PrivacyPolicy = require("./privacy-policy");
 
 const execAsync = promisify(exec);
 
+const RELEVANT_COMMANDS = {
+  nodejs: [
+    "npm install",
+    "npm start",
+    "npm run dev",
+    "npm test",
+    "npm run build",
+  ],
+  git: ["git status", "git add .", "git commit", "git push", "git pull"],
+  python: ["python", "pip install", "python -m venv", "python manage.py"],
+  java: ["javac", "java", "mvn", "gradle"],
+  cpp: ["g++", "make", "cmake", "./a.out"],
+  web: ["npm install", "npm start", "npx", "yarn"],
+  general: ["ls", "cd", "mkdir", "rm", "cp", "mv"],
+};
+
 class ContextManager {
   constructor() {
+    this.session = null;
     this.currentDirectory = process.cwd();
     this.recentCommands = [];
     this.fileContext = [];
@@ -16,12 +36,31 @@ class ContextManager {
     this.nodeContext = null;
     this.maxRecentCommands = 10;
     this.maxFileContext = 20;
+    this.fuzzyMatcher = new FuzzyMatcher();
+    this.fuzzyMatcher.loadExecutables();
+    this.specCompleter = new SpecCompleter();
+    this.privacyPolicy = new PrivacyPolicy();
+  }
+
+  setSession(session) {
+    this.session = session;
+    this.currentDirectory = this.getWorkingDirectory();
+    // Read ahead, so the policy is known by the first request
+    this.privacyPolicy.load(this.currentDirectory);
+  }
+
+  getWorkingDirectory() {
+    // Follow the shell session (cd/pushd/popd), not the launch directory
+    return this.session ? this.session.cwd : process.cwd();
   }
 
   async updateContext() {
     try {
       // Update current directory
-      this.currentDirectory = process.cwd();
+      this.currentDirectory = this.getWorkingDirectory();
+
+      // Re-read the privacy policy if its files have changed
+      await this.privacyPolicy.load(this.currentDirectory);
 
       // Update file context
       await this.updateFileContext();
@@ -136,9 +175,25 @@ class ContextManager {
     return context;
   }
 
-  buildContextPrompt(userInput) {
-    const context = this.getContextSummary();
-    let prompt = `Context: Working in "${context.directory}" directory. `;
+  // The privacy policy for the working directory
+  getPrivacyPolicy() {
+    return this.privacyPolicy.resolve(this.getWorkingDirectory());
+  }
+
+  // getContextSummary() without what the privacy policy keeps local; all
+  // prompts are built from this
+  getSharedContext() {
+    return this.privacyPolicy.filterContext(
+      this.getContextSummary(),
+      this.getPrivacyPolicy()
+    );
+  }
+
+  // The "Context: ..." part of a prompt, from getSharedContext()
+  describeContext(context) {
+    let prompt = context.directory
+      ? `Context: Working in "${context.directory}" directory. `
+      : "Context: ";
 
     // Add Git context
     if (context.git && context.git.isGitRepo) {
@@ -167,9 +222,56 @@ class ContextManager {
       prompt += `Directory has ${context.files} files, ${context.directories} folders. `;
     }
 
+    return prompt;
+  }
+
+  buildContextPrompt(userInput) {
+    const context = this.getSharedContext();
+    let prompt = this.describeContext(context);
+
     // Add user input
     prompt += `User input: "${userInput}". `;
-    prompt += `Suggest the most relevant command completion (${config.MAX_SUGGESTION_LENGTH} chars max).`;
+    prompt += `Suggest up to ${config.SUGGESTION_CANDIDATES} of the most relevant command completions, best first. `;
+    prompt += `Each "completion" is the whole command line starting with the user input, ${config.MAX_SUGGESTION_LENGTH} chars max, no markdown. `;
+    prompt += `Reply with only JSON: {"suggestions": [{"completion", "explanation" (a few words), "confidence" (0-1), "risk" ("low" read-only, "medium" changes files, "high" destructive)}]}.`;
+
+    return prompt;
+  }
+
+  /**
+   * Prompt turning a request in plain words ("find all js files changed in
+   * the last day") into one command line. The context names the project's
+   * npm scripts so the command can use the ones that exist.
+   */
+  buildCommandPrompt(request) {
+    const context = this.getSharedContext();
+    let prompt = this.describeContext(context);
+
+    const scripts = context.node && context.node.scripts;
+    if (scripts && Object.keys(scripts).length > 0) {
+      prompt += `npm scripts: ${Object.keys(scripts)
+        .slice(0, 20)
+        .join(", ")}. `;
+    }
+    prompt += `Platform: ${process.platform}. `;
+
+    prompt += `Request: "${request}". `;
+    prompt += `Write one shell command line that does this here, using only tools and scripts that exist. `;
+    prompt += `Reply with only JSON: {"command", "explanation" (one short sentence), "risk" ("low" read-only, "medium" changes files, "high" destructive)}.`;
+
+    return prompt;
+  }
+
+  // Prompt asking for a corrected command after `failure` exited non-zero
+  buildFixPrompt(failure) {
+    let prompt = this.describeContext(this.getSharedContext());
+    prompt += `Platform: ${process.platform}. `;
+    prompt += `The command "${failure.command}" failed with exit code ${failure.exitCode}. `;
+    if (failure.stderr && !this.getPrivacyPolicy().exclude.includes("stderr")) {
+      prompt += `End of its error output:\n${failure.stderr.trim()}\n`;
+    }
+    prompt += `Suggest one command line that does what was intended: the corrected command, or what to install or run first. `;
+    prompt += `Reply with only JSON: {"command", "explanation" (one short sentence), "risk" ("low" read-only, "medium" changes files, "high" destructive)}.`;
 
     return prompt;
   }
@@ -206,23 +308,26 @@ class ContextManager {
 
   getRelevantCommands() {
     const dirType = this.getDirectoryType();
-    const commands = {
-      nodejs: [
-        "npm install",
-        "npm start",
-        "npm run dev",
-        "npm test",
-        "npm run build",
-      ],
-      git: ["git status", "git add .", "git commit", "git push", "git pull"],
-      python: ["python", "pip install", "python -m venv", "python manage.py"],
-      java: ["javac", "java", "mvn", "gradle"],
-      cpp: ["g++", "make", "cmake", "./a.out"],
-      web: ["npm install", "npm start", "npx", "yarn"],
-      general: ["ls", "cd", "mkdir", "rm", "cp", "mv"],
-    };
+    return RELEVANT_COMMANDS[dirType] || RELEVANT_COMMANDS.general;
+  }
+
+  /**
+   * Corrects typos against $PATH, builtins and aliases, the commands this
+   * manager knows about for any project type, completion spec subcommands
+   * and recent commands.
+   */
+  getCorrection(userInput) {
+    return this.fuzzyMatcher.correct(userInput, {
+      commands: this.getKnownCommands(),
+      names: this.session ? this.session.getCommandNames() : [],
+    });
+  }
 
-    return commands[dirType] || commands.general;
+  getKnownCommands() {
+    const commands = [...this.recentCommands];
+    Object.values(RELEVANT_COMMANDS).forEach((list) => commands.push(...list));
+    commands.push(...this.specCompleter.getCommandLines());
+    return commands;
   }
 
   async getContextualSuggestion(userInput) {
@@ -240,6 +345,21 @@ class ContextManager {
       return matchingCommands[0];
     }
 
+    // Subcommands and flags from completion specs ("git che" -> checkout)
+    const [specCompletion] = this.specCompleter.completeLine(userInput);
+    if (specCompletion) {
+      return specCompletion;
+    }
+
+    // Fix typos locally before spending an API request on them
+    const correction = this.getCorrection(userInput);
+    if (correction) {
+      const completed = [...relevantCommands, ...this.getKnownCommands()].find(
+        (cmd) => cmd.startsWith(correction.command)
+      );
+      return completed || correction.command;
+    }
+
     // Build context-aware prompt
     const contextPrompt = this.buildContextPrompt(userInput);
 
@@ -263,8 +383,39 @@ class ContextManager {
 
     display += chalk.gray(` (${context.files}f, ${context.directories}d)`);
 
+    if (this.getPrivacyPolicy().sources.length > 0) {
+      display += chalk.magenta(" [private]");
+    }
+
     return display;
   }
+
+  // What the privacy policy lets leave the machine from here, for display
+  getPrivacyDisplay() {
+    const policy = this.getPrivacyPolicy();
+    if (policy.pending) {
+      return chalk.gray("🔒 Reading the privacy policy; nothing is sent yet");
+    }
+    if (policy.sources.length === 0) {
+      return chalk.gray(
+        "🔓 No privacy policy here: context is sent with AI requests"
+      );
+    }
+
+    const remote = policy.localOnly ? "none (local sources only)" : "allowed";
+    const suggestions =
+      policy.localOnly || !policy.remoteSuggestions ? "off" : "on";
+    const excluded =
+      policy.exclude.length > 0 ? policy.exclude.join(", ") : "nothing";
+    const lines = [
+      chalk.magenta("🔒 Privacy policy"),
+      `  Remote requests:     ${remote}`,
+      `  Remote suggestions:  ${suggestions}`,
+      `  Kept out of prompts: ${excluded}`,
+      ...policy.sources.map((source) => chalk.gray(`  From ${source}`)),
+    ];
+    return lines.join("\n");
+  }
 }
 
 module.exports = ContextManager;
@@ -1,134 +1,22 @@
-const readline = require("readline");
 const chalk = require("chalk");
 const cliCursor = require("cli-cursor");
-const GeminiService = require("./gemini-service-optimized");
+const RawTerminal = require("./raw-terminal");
+const {
+  handleAssistantCommand,
+  confirmRisk,
+  announceFix,
+} = require("./terminal-actions");
 const config = require("./config");
 
-class EnhancedTerminal {
+class EnhancedTerminal extends RawTerminal {
   constructor() {
-    this.geminiService = new GeminiService();
-    this.currentInput = "";
+    super();
     this.suggestion = "";
-    this.suggestionTimeout = null;
-    this.isProcessing = false;
-    this.cursorPosition = 0;
-
-    // Setup readline with custom prompt handling
-    this.rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-      prompt: "",
-    });
-
-    this.setupEventListeners();
-  }
-
-  setupEventListeners() {
-    // Handle raw input for better control
-    process.stdin.setRawMode(true);
-    process.stdin.resume();
-    process.stdin.setEncoding("utf8");
-
-    process.stdin.on("data", (key) => {
-      this.handleKeyPress(key);
-    });
-
-    // Handle process termination
-    process.on("SIGINT", () => {
-      this.cleanup();
-      process.exit(0);
-    });
-
-    process.on("SIGTERM", () => {
-      this.cleanup();
-      process.exit(0);
-    });
-  }
-
-  handleKeyPress(key) {
-    const keyCode = key.charCodeAt(0);
-
-    // Ctrl+C
-    if (keyCode === 3) {
-      this.cleanup();
-      process.exit(0);
-    }
-
-    // Enter key
-    if (keyCode === 13) {
-      this.executeCommand();
-      return;
-    }
-
-    // Backspace
-    if (keyCode === 127) {
-      this.handleBackspace();
-      return;
-    }
-
-    // Tab key - accept suggestion
-    if (keyCode === 9) {
-      this.acceptSuggestion();
-      return;
-    }
-
-    // Arrow keys
-    if (keyCode === 27 && key.length > 1) {
-      this.handleArrowKeys(key);
-      return;
-    }
-
-    // Regular character input
-    if (keyCode >= 32 && keyCode <= 126) {
-      this.addCharacter(key);
-    }
-  }
-
-  handleArrowKeys(key) {
-    if (key === "\u001b[A") {
-      // Up arrow
-      // Could implement command history here
-    } else if (key === "\u001b[B") {
-      // Down arrow
-      // Could implement command history here
-    } else if (key === "\u001b[C") {
-      // Right arrow
-      if (this.cursorPosition < this.currentInput.length) {
-        this.cursorPosition++;
-        this.redraw();
-      }
-    } else if (key === "\u001b[D") {
-      // Left arrow
-      if (this.cursorPosition > 0) {
-        this.cursorPosition--;
-        this.redraw();
-      }
-    }
-  }
-
-  handleBackspace() {
-    if (this.cursorPosition > 0) {
-      this.currentInput =
-        this.currentInput.slice(0, this.cursorPosition - 1) +
-        this.currentInput.slice(this.cursorPosition);
-      this.cursorPosition--;
-      this.redraw();
-      this.requestSuggestion(this.currentInput);
-    }
-  }
-
-  addCharacter(char) {
-    this.currentInput =
-      this.currentInput.slice(0, this.cursorPosition) +
-      char +
-      this.currentInput.slice(this.cursorPosition);
-    this.cursorPosition++;
-    this.redraw();
-    this.requestSuggestion(this.currentInput);
   }
 
   acceptSuggestion() {
     if (this.suggestion) {
+      this.cancelSuggestion();
       this.currentInput = this.suggestion;
       this.cursorPosition = this.currentInput.length;
       this.suggestion = "";
@@ -136,50 +24,82 @@ class EnhancedTerminal {
     }
   }
 
-  async requestSuggestion(input) {
-    if (this.suggestionTimeout) {
-      clearTimeout(this.suggestionTimeout);
-    }
+  // Tab with nothing to complete takes the suggestion
+  takeSuggestion() {
+    if (!this.suggestion) return false;
+    this.acceptSuggestion();
+    return true;
+  }
 
-    this.suggestionTimeout = setTimeout(async () => {
-      if (input.trim().length < 2) return;
+  clearSuggestions() {
+    this.suggestion = "";
+  }
 
-      this.isProcessing = true;
-      this.showProcessingIndicator();
+  requestSuggestion() {
+    this.cancelSuggestion();
 
-      try {
-        const suggestion = await this.geminiService.getCommandSuggestion(input);
-        this.isProcessing = false;
+    // A suggestion the input no longer leads to belongs to an old revision;
+    // callers redraw
+    if (this.suggestion && !this.suggestion.startsWith(this.currentInput)) {
+      this.suggestion = "";
+    }
 
-        if (suggestion) {
-          this.suggestion = suggestion;
-          this.displaySuggestion(input, suggestion);
-        }
-      } catch (error) {
-        this.isProcessing = false;
+    this.scheduleSuggestion(async ({ input, signal, isCurrent }) => {
+      const suggestion = await this.geminiService.getCommandSuggestion(input, {
+        signal,
+        onPartial: (partial) => {
+          if (!isCurrent()) return;
+          this.suggestion = partial;
+          this.redraw();
+        },
+      });
+      if (isCurrent()) {
+        this.suggestion = suggestion && suggestion !== input ? suggestion : "";
       }
-    }, config.SUGGESTION_DELAY);
+    });
   }
 
-  redraw() {
+  drawLine() {
     // Clear current line
     process.stdout.write("\r\x1b[K");
 
-    // Draw prompt
-    process.stdout.write(chalk.cyan("🤖 Gemini Terminal > "));
+    // Draw prompt, flagged when no remote API is used or the provider is
+    // down
+    const offlineInfo = config.OFFLINE_MODE
+      ? chalk.yellow("[offline] ")
+      : this.geminiService.isDegraded()
+      ? chalk.red("[degraded] ")
+      : "";
+    process.stdout.write(chalk.cyan("🤖 Gemini Terminal > ") + offlineInfo);
 
     // Draw input
     process.stdout.write(this.currentInput);
 
-    // Draw suggestion if available
-    if (this.suggestion && this.suggestion !== this.currentInput) {
-      const remainingSuggestion = this.suggestion.substring(
-        this.currentInput.length
-      );
-      if (remainingSuggestion) {
-        process.stdout.write(chalk.gray(remainingSuggestion));
+    // Draw suggestion if available, in red when it is high risk
+    const showSuggestion =
+      this.suggestion && this.suggestion !== this.currentInput;
+    const risk = this.riskClassifier.classify(
+      showSuggestion ? this.suggestion : this.currentInput.trim()
+    ).level;
+    if (showSuggestion) {
+      if (this.suggestion.startsWith(this.currentInput)) {
+        const remainingSuggestion = this.suggestion.substring(
+          this.currentInput.length
+        );
+        const color = risk === "high" ? chalk.red : chalk.gray;
+        process.stdout.write(color(remainingSuggestion));
+      } else {
+        // Doesn't continue the input, so it replaces it: a typo correction
+        process.stdout.write(
+          chalk.yellow(` → ${this.suggestion}`) + chalk.gray(" (did you mean?)")
+        );
       }
     }
+    if (risk === "high") {
+      process.stdout.write(chalk.red(" ⚠ high risk"));
+    } else if (risk === "medium") {
+      process.stdout.write(chalk.yellow(" ⚠"));
+    }
 
     // Draw processing indicator
     if (this.isProcessing) {
@@ -188,11 +108,13 @@ class EnhancedTerminal {
 
     // Position cursor
     const cursorPos =
-      chalk.cyan("🤖 Gemini Terminal > ").length + this.cursorPosition;
+      chalk.cyan("🤖 Gemini Terminal > ").length +
+      offlineInfo.length +
+      this.cursorPosition;
     process.stdout.write(`\r\x1b[${cursorPos}C`);
   }
 
-  executeCommand() {
+  async executeCommand() {
     const command = this.currentInput.trim();
 
     if (command === "") {
@@ -221,19 +143,45 @@ class EnhancedTerminal {
       return;
     }
 
-    // Execute command (demo mode)
-    console.log(chalk.green(`\n✅ Executed: ${command}`));
-    console.log(
-      chalk.gray("(This is a demo - commands are not actually executed)")
-    );
+    if (await handleAssistantCommand(this, command)) {
+      return;
+    }
+
+    if (!(await confirmRisk(this, command))) {
+      this.resetInput();
+      return;
+    }
+
+    // Stop pending suggestion work from drawing over the command output
+    this.cancelSuggestion();
+
+    process.stdout.write("\n");
+    const cwd = this.session.cwd;
+    const result = await this.session.run(command);
+    this.history.add({
+      command,
+      cwd,
+      exitCode: result.exitCode,
+      duration: result.duration,
+    });
+    this.history.resetNavigation();
+    if (!result.builtin) {
+      console.log(this.commandExecutor.formatSummary(result));
+    }
+
+    // Branches, containers or scripts may have changed
+    this.completionProvider.invalidate();
 
     this.resetInput();
+    this.suggestFix(result);
   }
 
-  resetInput() {
-    this.currentInput = "";
-    this.cursorPosition = 0;
-    this.suggestion = "";
+  // After a failed command, offer a corrected one; Tab takes it
+  async suggestFix(result) {
+    const fix = await announceFix(this, result);
+    if (!fix) return;
+
+    this.suggestion = fix.command;
     this.redraw();
   }
 
@@ -243,10 +191,19 @@ class EnhancedTerminal {
     console.log(chalk.yellow("Commands:"));
     console.log("  help     - Show this help message");
     console.log("  clear    - Clear the terminal");
+    console.log("  explain  - What each part of a command does");
+    console.log("  # <task> - Describe a command in plain words (or ?)");
+    console.log(
+      "  cd, pushd, popd, dirs - Change and stack the working directory"
+    );
+    console.log("  export, unset - Set or remove environment variables");
+    console.log("  alias, unalias - Define or remove command aliases");
     console.log("  exit     - Exit the application");
     console.log("  quit     - Exit the application");
     console.log(chalk.yellow("\nNavigation:"));
-    console.log("  Tab      - Accept current suggestion");
+    console.log("  Tab      - Complete command/path, or accept suggestion");
+    console.log("  ↑ ↓      - Browse command history");
+    console.log("  Ctrl+R   - Search command history");
     console.log("  ← →      - Move cursor left/right");
     console.log("  Backspace- Delete character");
     console.log("  Enter    - Execute command");
@@ -259,12 +216,6 @@ class EnhancedTerminal {
     console.log(chalk.gray("\nStart typing to see AI suggestions!"));
   }
 
-  cleanup() {
-    cliCursor.show();
-    process.stdin.setRawMode(false);
-    process.stdin.pause();
-  }
-
   start() {
     cliCursor.hide();
     console.log(
@@ -277,18 +228,6 @@ class EnhancedTerminal {
     );
     this.redraw();
   }
-
-  showProcessingIndicator() {
-    if (config.ENABLE_COLORS) {
-      process.stdout.write(chalk.gray(" 🤔 Thinking..."));
-    } else {
-      process.stdout.write(" 🤔 Thinking...");
-    }
-  }
-
-  displaySuggestion(input, suggestion) {
-    this.redraw();
-  }
 }
 
 module.exports = EnhancedTerminal;
@@ -0,0 +1,49 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// Names of the executables on a $PATH. Scans are cached per PATH value, so
+// an `export PATH=...` in the session picks up a fresh list.
+class ExecutableIndex {
+  constructor() {
+    this.names = new Set();
+    this.pathValue = null;
+    this.loading = null;
+  }
+
+  async scanDirectory(directory, names) {
+    try {
+      const entries = await fs.readdir(directory, { withFileTypes: true });
+      entries.forEach((entry) => {
+        if (entry.isFile() || entry.isSymbolicLink()) {
+          names.add(entry.name);
+        }
+      });
+    } catch (error) {
+      // Missing or unreadable PATH entries are common; skip them
+    }
+  }
+
+  // Resolves to the set of names; callers that can't wait use `names`,
+  // which holds the last completed scan
+  load(pathValue = process.env.PATH || "") {
+    if (this.loading && this.pathValue === pathValue) return this.loading;
+
+    this.pathValue = pathValue;
+    const directories = [...new Set(pathValue.split(path.delimiter))].filter(
+      Boolean
+    );
+    const names = new Set();
+    this.loading = Promise.all(
+      directories.map((directory) => this.scanDirectory(directory, names))
+    ).then(() => {
+      if (this.pathValue === pathValue) {
+        this.names = names;
+      }
+      return names;
+    });
+
+    return this.loading;
+  }
+}
+
+module.exports = ExecutableIndex;
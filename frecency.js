@@ -0,0 +1,172 @@
+const config = require("./config");
+
+/**
+ * Frequency weighted by recency for full command lines, kept globally and
+ * per working directory. Each use adds to a score that halves every
+ * FRECENCY_HALF_LIFE_HOURS; failed runs subtract instead, so commands that
+ * keep failing sink in the ranking.
+ */
+class FrecencyIndex {
+  constructor() {
+    this.halfLife = config.FRECENCY_HALF_LIFE_HOURS * 60 * 60 * 1000;
+    this.successWeight = 1;
+    this.failureWeight = -0.5;
+    this.maxGlobalEntries = 5000;
+    this.maxDirectoryEntries = 500;
+    this.maxDirectories = 500;
+    this.reset();
+  }
+
+  reset() {
+    this.global = new Map();
+    this.directories = new Map();
+  }
+
+  isEmpty() {
+    return this.global.size === 0;
+  }
+
+  // Score as of `now`; stored scores are relative to their updatedAt
+  decay(entry, now = Date.now()) {
+    const elapsed = Math.max(0, now - entry.updatedAt);
+    return entry.score * Math.pow(0.5, elapsed / this.halfLife);
+  }
+
+  bump(table, command, weight, success, timestamp) {
+    const entry = table.get(command) || {
+      score: 0,
+      updatedAt: timestamp,
+      count: 0,
+      failures: 0,
+    };
+
+    // Entries are replayed in time order, but imports can be older than
+    // what we already have; decay whichever side is older
+    const reference = Math.max(entry.updatedAt, timestamp);
+    const current = this.decay(entry, reference);
+    const added =
+      weight * Math.pow(0.5, (reference - timestamp) / this.halfLife);
+
+    table.set(command, {
+      score: Math.max(0, current + added),
+      updatedAt: reference,
+      count: entry.count + 1,
+      failures: entry.failures + (success ? 0 : 1),
+    });
+  }
+
+  record(command, { success = true, timestamp = Date.now(), cwd = null } = {}) {
+    const key = command.trim();
+    if (!key) return;
+
+    const weight = success ? this.successWeight : this.failureWeight;
+    this.bump(this.global, key, weight, success, timestamp);
+
+    if (cwd) {
+      if (!this.directories.has(cwd)) {
+        this.directories.set(cwd, new Map());
+      }
+      this.bump(this.directories.get(cwd), key, weight, success, timestamp);
+    }
+
+    this.prune();
+  }
+
+  // Drops the lowest-scoring entries once a table grows well past its cap
+  pruneTable(table, limit) {
+    if (table.size <= limit * 1.1) return;
+
+    const now = Date.now();
+    Array.from(table.entries())
+      .sort((a, b) => this.decay(b[1], now) - this.decay(a[1], now))
+      .slice(limit)
+      .forEach(([command]) => table.delete(command));
+  }
+
+  prune() {
+    this.pruneTable(this.global, this.maxGlobalEntries);
+    this.directories.forEach((table) =>
+      this.pruneTable(table, this.maxDirectoryEntries)
+    );
+
+    if (this.directories.size > this.maxDirectories * 1.1) {
+      const now = Date.now();
+      const newestUse = (table) =>
+        Math.max(...Array.from(table.values()).map((entry) => entry.updatedAt));
+      Array.from(this.directories.entries())
+        .sort((a, b) => newestUse(b[1]) - newestUse(a[1]))
+        .slice(this.maxDirectories)
+        .forEach(([dir]) => this.directories.delete(dir));
+    }
+  }
+
+  /**
+   * Returns the raw global and directory scores plus `combined`, a 0-1
+   * value for ranking that favors the current directory when it has data.
+   */
+  getScore(command, cwd = null) {
+    const now = Date.now();
+    const key = command.trim();
+    const globalEntry = this.global.get(key);
+    const directoryTable = cwd && this.directories.get(cwd);
+    const directoryEntry = directoryTable && directoryTable.get(key);
+
+    const globalScore = globalEntry ? this.decay(globalEntry, now) : 0;
+    const directoryScore = directoryEntry ? this.decay(directoryEntry, now) : 0;
+
+    // Saturate so a handful of recent uses already counts for a lot
+    const saturate = (score) => score / (score + 2);
+    const combined = directoryTable
+      ? 0.6 * saturate(directoryScore) + 0.4 * saturate(globalScore)
+      : saturate(globalScore);
+
+    return {
+      global: globalScore,
+      directory: directoryScore,
+      combined,
+      failures: globalEntry ? globalEntry.failures : 0,
+      count: globalEntry ? globalEntry.count : 0,
+    };
+  }
+
+  toJSON() {
+    return {
+      global: Array.from(this.global.entries()),
+      directories: Array.from(this.directories.entries()).map(
+        ([dir, table]) => [dir, Array.from(table.entries())]
+      ),
+    };
+  }
+
+  // Adds scores from a serialized index, decayed to a common time
+  merge(data) {
+    const mergeTable = (table, entries = []) => {
+      entries.forEach(([command, incoming]) => {
+        const existing = table.get(command);
+        if (!existing) {
+          table.set(command, { ...incoming });
+          return;
+        }
+        const reference = Math.max(existing.updatedAt, incoming.updatedAt);
+        table.set(command, {
+          score:
+            this.decay(existing, reference) + this.decay(incoming, reference),
+          updatedAt: reference,
+          count: existing.count + incoming.count,
+          failures: existing.failures + incoming.failures,
+        });
+      });
+    };
+
+    mergeTable(this.global, data.global);
+    (data.directories || []).forEach(([dir, entries]) => {
+      if (!this.directories.has(dir)) {
+        this.directories.set(dir, new Map());
+      }
+      mergeTable(this.directories.get(dir), entries);
+    });
+    this.prune();
+  }
+}
+
+module.exports = FrecencyIndex;
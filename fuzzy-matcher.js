@@ -0,0 +1,227 @@
+const ExecutableIndex = require("./executable-index");
+
+const KEYBOARD_ROWS = [
+  "1234567890-=",
+  "qwertyuiop[]",
+  "asdfghjkl;'",
+  "zxcvbnm,./",
+];
+
+// Keys that touch each other on a QWERTY layout, including the diagonals
+function buildAdjacency() {
+  const positions = new Map();
+  KEYBOARD_ROWS.forEach((row, rowIndex) => {
+    [...row].forEach((key, column) => positions.set(key, [rowIndex, column]));
+  });
+
+  const adjacency = new Map();
+  positions.forEach(([row, column], key) => {
+    const neighbours = new Set();
+    positions.forEach(([otherRow, otherColumn], other) => {
+      if (other === key || Math.abs(otherRow - row) > 1) return;
+      // Each row is shifted about half a key right of the one above
+      const offset = otherColumn - column + (otherRow - row) * 0.5;
+      if (Math.abs(offset) <= 1) neighbours.add(other);
+    });
+    adjacency.set(key, neighbours);
+  });
+  return adjacency;
+}
+
+const ADJACENCY = buildAdjacency();
+
+/**
+ * Corrects typos in a command line locally (`gti stauts` -> `git status`)
+ * so they don't cost an API request. Words are compared with a
+ * Damerau-Levenshtein distance where hitting a neighbouring key costs less
+ * than an arbitrary substitution. The first word is matched against $PATH
+ * executables and known command names, later words against the words that
+ * follow the same prefix in known commands (history, patterns).
+ */
+class FuzzyMatcher {
+  constructor() {
+    this.adjacentCost = 0.5;
+    this.executableIndex = new ExecutableIndex();
+  }
+
+  // Corrections use whatever the last finished $PATH scan found
+  loadExecutables(pathValue) {
+    return this.executableIndex.load(pathValue);
+  }
+
+  substitutionCost(a, b) {
+    if (a === b) return 0;
+    const neighbours = ADJACENCY.get(a.toLowerCase());
+    return neighbours && neighbours.has(b.toLowerCase())
+      ? this.adjacentCost
+      : 1;
+  }
+
+  // Optimal string alignment distance with keyboard-aware substitutions
+  distance(a, b) {
+    const rows = a.length + 1;
+    const columns = b.length + 1;
+    const d = Array.from({ length: rows }, () => new Array(columns).fill(0));
+
+    for (let i = 0; i < rows; i++) d[i][0] = i;
+    for (let j = 0; j < columns; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+      for (let j = 1; j < columns; j++) {
+        d[i][j] = Math.min(
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1,
+          d[i - 1][j - 1] + this.substitutionCost(a[i - 1], b[j - 1])
+        );
+        if (
+          i > 1 &&
+          j > 1 &&
+          a[i - 1] === b[j - 2] &&
+          a[i - 2] === b[j - 1] &&
+          a[i - 1] !== a[i - 2]
+        ) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return d[rows - 1][columns - 1];
+  }
+
+  // How many edits a word of this length may need before it's a different word
+  maxDistance(word) {
+    if (word.length <= 2) return 0;
+    if (word.length <= 4) return 1;
+    return 2;
+  }
+
+  // Words that can't sensibly be typos: paths, flags with values, variables
+  isCorrectable(word) {
+    return /^[A-Za-z0-9][\w.+-]*$|^--?[A-Za-z][\w-]*$/.test(word);
+  }
+
+  /**
+   * Finds the closest candidate for `word`. A `partial` word is still being
+   * typed, so it is compared with candidate prefixes of about its length
+   * and completed to the full candidate. `preferred` candidates (known
+   * commands rather than bare executables) win close ties.
+   */
+  bestMatch(word, candidates, { partial = false, preferred = null } = {}) {
+    const limit = this.maxDistance(word);
+    if (limit === 0) return null;
+
+    let best = null;
+    candidates.forEach((candidate) => {
+      if (Math.abs(candidate.length - word.length) > limit && !partial) return;
+      if (partial && candidate.length < word.length - limit) return;
+
+      let distance = this.distance(word, candidate);
+      if (partial) {
+        for (
+          let length = word.length - 1;
+          length <= word.length + 1;
+          length++
+        ) {
+          if (length > 0 && length <= candidate.length) {
+            distance = Math.min(
+              distance,
+              this.distance(word, candidate.slice(0, length))
+            );
+          }
+        }
+      }
+      if (distance === 0 || distance > limit) return;
+
+      const rank =
+        distance - (preferred && preferred.has(candidate) ? 0.25 : 0);
+      if (!best || rank < best.rank) {
+        best = { word: candidate, distance, rank };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Returns { command, original, corrections: [{ from, to, distance }] }
+   * for the corrected line, or null when nothing needed correcting.
+   * `commands` are full known command lines; `names` are extra valid
+   * command names such as builtins and aliases.
+   */
+  correct(input, { commands = [], names = [] } = {}) {
+    if (!this.executableIndex.loading) {
+      this.loadExecutables();
+    }
+
+    const words = Array.from(input.matchAll(/\S+/g));
+    if (words.length === 0) return null;
+
+    // Without a trailing space the last word may still be half typed
+    const lastIsPartial = !/\s$/.test(input);
+    const known = commands
+      .map((command) => command.trim().split(/\s+/))
+      .filter((commandWords) => commandWords[0]);
+
+    const result = [];
+    const corrections = [];
+    let corrected = "";
+    let offset = 0;
+
+    words.forEach((match, index) => {
+      const word = match[0];
+      const partial = lastIsPartial && index === words.length - 1;
+
+      // Words that follow the (corrected) prefix in known commands
+      const following = new Set();
+      known.forEach((commandWords) => {
+        if (
+          commandWords.length > index &&
+          result.every((previous, i) => commandWords[i] === previous)
+        ) {
+          following.add(commandWords[index]);
+        }
+      });
+
+      let candidates = following;
+      let preferred = null;
+      if (index === 0) {
+        preferred = new Set([...following, ...names]);
+        candidates = new Set([...preferred, ...this.executableIndex.names]);
+      }
+
+      let replacement = word;
+      const isKnown =
+        candidates.has(word) ||
+        (partial &&
+          Array.from(candidates).some((candidate) =>
+            candidate.startsWith(word)
+          ));
+      if (!isKnown && this.isCorrectable(word)) {
+        const best = this.bestMatch(word, candidates, { partial, preferred });
+        if (best) {
+          corrections.push({
+            from: word,
+            to: best.word,
+            distance: best.distance,
+          });
+          replacement = best.word;
+        }
+      }
+
+      // Keep the user's spacing and quoting around the words we change
+      corrected += input.slice(offset, match.index) + replacement;
+      offset = match.index + word.length;
+      result.push(replacement);
+    });
+
+    if (corrections.length === 0) return null;
+
+    return {
+      command: (corrected + input.slice(offset)).trim(),
+      original: input,
+      corrections,
+    };
+  }
+}
+
+module.exports = FuzzyMatcher;
@@ -0,0 +1,91 @@
+const LLMProvider = require("./llm-provider");
+const config = require("./config");
+
+// Google's generateContent API; the model is part of GEMINI_API_URL
+class GeminiProvider extends LLMProvider {
+  constructor() {
+    super({
+      name: "gemini",
+      displayName: "Gemini",
+      apiUrl: config.GEMINI_API_URL,
+      apiKeys: config.GEMINI_API_KEYS,
+      keyVariable: "GEMINI_API_KEYS",
+    });
+  }
+
+  // Streaming uses the sibling streamGenerateContent method, as SSE
+  buildRequest(prompt, apiKey, { stream = false, schema = null } = {}) {
+    const data = {
+      contents: [
+        {
+          parts: [
+            {
+              text: prompt,
+            },
+          ],
+        },
+      ],
+    };
+    if (schema) {
+      data.generationConfig = {
+        responseMimeType: "application/json",
+        responseSchema: this.toResponseSchema(schema),
+      };
+    }
+
+    return {
+      url: stream
+        ? this.apiUrl.replace(":generateContent", ":streamGenerateContent") +
+          (this.apiUrl.includes("?") ? "&" : "?") +
+          "alt=sse"
+        : this.apiUrl,
+      data,
+      headers: { "X-goog-api-key": apiKey },
+    };
+  }
+
+  // Gemini takes an OpenAPI-style subset without additionalProperties
+  toResponseSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map((item) => this.toResponseSchema(item));
+    }
+    if (!schema || typeof schema !== "object") return schema;
+
+    const converted = {};
+    Object.entries(schema).forEach(([key, value]) => {
+      if (key !== "additionalProperties") {
+        converted[key] =
+          key === "enum" || key === "required"
+            ? value
+            : this.toResponseSchema(value);
+      }
+    });
+    return converted;
+  }
+
+  textOf(data) {
+    const candidate = data && data.candidates && data.candidates[0];
+    const parts = candidate && candidate.content && candidate.content.parts;
+    if (!parts || parts.length === 0) return null;
+    return parts.map((part) => part.text || "").join("");
+  }
+
+  parseResponse(data) {
+    return this.result(
+      this.textOf(data),
+      data?.usageMetadata?.totalTokenCount,
+      data?.usageMetadata?.promptTokenCount
+    );
+  }
+
+  // Each event is a partial GenerateContentResponse
+  parseStreamEvent(event) {
+    return {
+      text: this.textOf(event) || "",
+      tokenCount: event.usageMetadata?.totalTokenCount || 0,
+      promptTokens: event.usageMetadata?.promptTokenCount || 0,
+    };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -1,102 +1,49 @@
-const axios = require("axios");
 const config = require("./config");
 const CacheManager = require("./cache-manager");
+const CommandExplainer = require("./command-explainer");
+const { createProvider } = require("./llm-providers");
 
 class GeminiService {
   constructor() {
-    this.apiKey = config.GEMINI_API_KEY;
-    this.apiUrl = config.GEMINI_API_URL;
+    this.provider = createProvider();
     this.cacheManager = new CacheManager();
+    this.commandExplainer = new CommandExplainer();
   }
 
-  async getSuggestion(userInput) {
-    try {
-      const prompt = `Given this partial input: "${userInput}", provide a brief, helpful suggestion to complete the thought or command. Keep it under ${config.MAX_SUGGESTION_LENGTH} characters. Only provide the suggestion text, no explanations.`;
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          contents: [
-            {
-              parts: [
-                {
-                  text: prompt,
-                },
-              ],
-            },
-          ],
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            "X-goog-api-key": this.apiKey,
-          },
-          timeout: 5000,
-        }
-      );
+  async complete(prompt) {
+    // Offline without a local model
+    if (!this.provider) return null;
 
-      if (
-        response.data &&
-        response.data.candidates &&
-        response.data.candidates[0]
-      ) {
-        const suggestion =
-          response.data.candidates[0].content.parts[0].text.trim();
-        return suggestion.substring(0, config.MAX_SUGGESTION_LENGTH);
+    try {
+      const result = await this.provider.generate(prompt, { timeout: 5000 });
+      if (result) {
+        return result.text.substring(0, config.MAX_SUGGESTION_LENGTH);
       }
 
       return null;
     } catch (error) {
       if (config.DEBUG_MODE) {
-        console.error("Gemini API Error:", error.message);
+        console.error(`${this.provider.displayName} API Error:`, error.message);
       }
       return null;
     }
   }
 
-  async getCommandSuggestion(userInput) {
-    try {
-      const prompt = `The user is typing in a terminal. Given this partial input: "${userInput}", suggest a complete command or next few words. Focus on common terminal commands, file operations, git commands, or programming tasks. Keep it under ${config.MAX_SUGGESTION_LENGTH} characters. Only provide the suggestion, no explanations.`;
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          contents: [
-            {
-              parts: [
-                {
-                  text: prompt,
-                },
-              ],
-            },
-          ],
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            "X-goog-api-key": this.apiKey,
-          },
-          timeout: 5000,
-        }
-      );
+  async getSuggestion(userInput) {
+    const prompt = `Given this partial input: "${userInput}", provide a brief, helpful suggestion to complete the thought or command. Keep it under ${config.MAX_SUGGESTION_LENGTH} characters. Only provide the suggestion text, no explanations.`;
+    return this.complete(prompt);
+  }
 
-      if (
-        response.data &&
-        response.data.candidates &&
-        response.data.candidates[0]
-      ) {
-        const suggestion =
-          response.data.candidates[0].content.parts[0].text.trim();
-        return suggestion.substring(0, config.MAX_SUGGESTION_LENGTH);
-      }
+  async getCommandSuggestion(userInput) {
+    const prompt = `The user is typing in a terminal. Given this partial input: "${userInput}", suggest a complete command or next few words. Focus on common terminal commands, file operations, git commands, or programming tasks. Keep it under ${config.MAX_SUGGESTION_LENGTH} characters. Only provide the suggestion, no explanations.`;
+    return this.complete(prompt);
+  }
 
-      return null;
-    } catch (error) {
-      if (config.DEBUG_MODE) {
-        console.error("Gemini API Error:", error.message);
-      }
-      return null;
-    }
+  // `explain <command>` from completion specs, the bundled table and man
+  // pages only; parts they don't know are shown as such
+  async explainCommand(line) {
+    const explanation = await this.commandExplainer.explain(line);
+    return this.commandExplainer.format(explanation);
   }
 }
 
@@ -0,0 +1,214 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const config = require("./config");
+
+const SHELLS = ["bash", "zsh", "fish"];
+
+class HistoryImporter {
+  constructor() {
+    this.maxCommands = config.HISTORY_IMPORT_LIMIT;
+    this.maxCommandLength = 500;
+  }
+
+  getDefaultSources() {
+    const home = os.homedir();
+    const zdotdir = process.env.ZDOTDIR || home;
+    const xdgData =
+      process.env.XDG_DATA_HOME || path.join(home, ".local", "share");
+
+    return [
+      { shell: "bash", file: path.join(home, ".bash_history") },
+      { shell: "zsh", file: path.join(zdotdir, ".zsh_history") },
+      { shell: "fish", file: path.join(xdgData, "fish", "fish_history") },
+    ];
+  }
+
+  // Accepts shell names ("zsh") and/or file paths; empty means all defaults
+  resolveSources(selection = []) {
+    const defaults = this.getDefaultSources();
+    if (selection.length === 0) return defaults;
+
+    return selection.map((item) => {
+      if (SHELLS.includes(item)) {
+        return defaults.find((source) => source.shell === item);
+      }
+      const file = item.startsWith("~")
+        ? path.join(os.homedir(), item.slice(1))
+        : path.resolve(item);
+      return { shell: null, file };
+    });
+  }
+
+  detectFormat(content) {
+    if (/^- cmd: /m.test(content)) return "fish";
+    if (/^: \d+:\d+;/m.test(content)) return "zsh";
+    return "bash";
+  }
+
+  // zsh stores bytes >= 0x83 as 0x83 followed by the byte XOR 32
+  unmetafyZsh(buffer) {
+    const bytes = [];
+    for (let i = 0; i < buffer.length; i++) {
+      if (buffer[i] === 0x83 && i + 1 < buffer.length) {
+        bytes.push(buffer[i + 1] ^ 32);
+        i++;
+      } else {
+        bytes.push(buffer[i]);
+      }
+    }
+    return Buffer.from(bytes).toString("utf8");
+  }
+
+  parseBash(content) {
+    const entries = [];
+    let timestamp = null;
+
+    content.split("\n").forEach((line) => {
+      // HISTTIMEFORMAT writes "#<epoch>" before each command
+      const timeMatch = /^#(\d{9,11})$/.exec(line);
+      if (timeMatch) {
+        timestamp = parseInt(timeMatch[1], 10) * 1000;
+        return;
+      }
+      entries.push({ command: line, timestamp });
+      timestamp = null;
+    });
+
+    return entries;
+  }
+
+  parseZsh(content) {
+    const entries = [];
+    let current = null;
+
+    content.split("\n").forEach((line) => {
+      // Multi-line commands continue with a trailing backslash
+      if (current && current.continues) {
+        current.command += "\n" + line.replace(/\\$/, "");
+        current.continues = line.endsWith("\\");
+        if (!current.continues) entries.push(current);
+        return;
+      }
+
+      // Extended history: ": <start>:<elapsed>;<command>"
+      const match = /^: (\d+):\d+;(.*)$/.exec(line);
+      const command = match ? match[2] : line;
+      const timestamp = match ? parseInt(match[1], 10) * 1000 : null;
+
+      current = {
+        command: command.replace(/\\$/, ""),
+        timestamp,
+        continues: command.endsWith("\\"),
+      };
+      if (!current.continues) entries.push(current);
+    });
+
+    return entries.map(({ command, timestamp }) => ({ command, timestamp }));
+  }
+
+  parseFish(content) {
+    const entries = [];
+    let current = null;
+
+    content.split("\n").forEach((line) => {
+      const cmdMatch = /^- cmd: (.*)$/.exec(line);
+      if (cmdMatch) {
+        current = { command: this.unescapeFish(cmdMatch[1]), timestamp: null };
+        entries.push(current);
+        return;
+      }
+
+      const whenMatch = /^\s+when: (\d+)$/.exec(line);
+      if (whenMatch && current) {
+        current.timestamp = parseInt(whenMatch[1], 10) * 1000;
+      }
+    });
+
+    return entries;
+  }
+
+  unescapeFish(value) {
+    return value.replace(/\\(\\|n)/g, (match, char) =>
+      char === "n" ? "\n" : "\\"
+    );
+  }
+
+  parse(format, buffer) {
+    switch (format) {
+      case "zsh":
+        return this.parseZsh(this.unmetafyZsh(buffer));
+      case "fish":
+        return this.parseFish(buffer.toString("utf8"));
+      default:
+        return this.parseBash(buffer.toString("utf8"));
+    }
+  }
+
+  isUsable(command) {
+    const trimmed = command.trim();
+    return trimmed.length > 0 && trimmed.length <= this.maxCommandLength;
+  }
+
+  async readSource(source) {
+    try {
+      const buffer = await fs.readFile(source.file);
+      const format =
+        source.shell || this.detectFormat(buffer.toString("latin1"));
+      const entries = this.parse(format, buffer)
+        .map((entry) => ({ ...entry, command: entry.command.trim() }))
+        .filter((entry) => this.isUsable(entry.command));
+
+      return { ...source, format, entries, error: null };
+    } catch (error) {
+      return { ...source, format: source.shell, entries: [], error };
+    }
+  }
+
+  /**
+   * Merges entries from several shells into one chronological list.
+   * Untimestamped entries (plain bash history) keep their file order ahead
+   * of timestamped ones; exact repeats across shells and consecutive repeats
+   * of the same command are dropped.
+   */
+  dedupe(entries) {
+    const sorted = entries
+      .map((entry, index) => ({ ...entry, index }))
+      .sort(
+        (a, b) => (a.timestamp || 0) - (b.timestamp || 0) || a.index - b.index
+      );
+
+    const seen = new Set();
+    const result = [];
+    sorted.forEach((entry) => {
+      const key = `${entry.timestamp}\u0000${entry.command}`;
+      if (entry.timestamp && seen.has(key)) return;
+      seen.add(key);
+
+      const previous = result[result.length - 1];
+      if (previous && previous.command === entry.command) return;
+
+      result.push({ command: entry.command, timestamp: entry.timestamp });
+    });
+
+    return result;
+  }
+
+  async collect(selection = []) {
+    const sources = await Promise.all(
+      this.resolveSources(selection).map((source) => this.readSource(source))
+    );
+
+    const allEntries = [];
+    sources.forEach((source) => allEntries.push(...source.entries));
+    const entries = this.dedupe(allEntries).slice(-this.maxCommands);
+
+    return {
+      sources,
+      entries,
+      totalParsed: allEntries.length,
+    };
+  }
+}
+
+module.exports = HistoryImporter;
@@ -0,0 +1,105 @@
+const chalk = require("chalk");
+
+// Ctrl+R reverse incremental search over a CommandHistory, bash style.
+// handleKey() tells the terminal what to do next:
+//   "update"  - redraw the search line
+//   "accept"  - leave search with the match in the input for editing
+//   "execute" - leave search and run the match
+//   "cancel"  - leave search and restore the original input
+class ReverseSearch {
+  constructor(history, originalInput) {
+    this.history = history;
+    this.originalInput = originalInput;
+    this.query = "";
+    this.matchIndex = history.size();
+    this.match = "";
+    this.failed = false;
+  }
+
+  find(fromIndex, skipCommand = null) {
+    const result = this.history.searchBackward(
+      this.query,
+      fromIndex,
+      skipCommand
+    );
+    if (result) {
+      this.matchIndex = result.index;
+      this.match = result.command;
+      this.failed = false;
+    } else {
+      this.failed = true;
+    }
+  }
+
+  handleKey(key) {
+    const keyCode = key.charCodeAt(0);
+
+    // Ctrl+R again - next older match
+    if (keyCode === 18) {
+      if (this.query) {
+        this.find(this.matchIndex - 1, this.match);
+      }
+      return "update";
+    }
+
+    // Backspace - shorten the query and search again from the newest entry
+    if (keyCode === 127) {
+      this.query = this.query.slice(0, -1);
+      this.matchIndex = this.history.size();
+      if (this.query) {
+        this.find(this.matchIndex);
+      } else {
+        this.match = "";
+        this.failed = false;
+      }
+      return "update";
+    }
+
+    // Enter
+    if (keyCode === 13) {
+      return this.match ? "execute" : "cancel";
+    }
+
+    // Ctrl+G or a bare Escape
+    if (keyCode === 7 || key === "\u001b") {
+      return "cancel";
+    }
+
+    // Arrow keys, Tab and friends drop back into line editing
+    if (keyCode === 27 || keyCode === 9) {
+      return "accept";
+    }
+
+    if ([...key].every((char) => char >= " " && char <= "~")) {
+      this.query += key;
+      // Extending the query keeps the current match if it still fits
+      this.find(this.failed ? this.history.size() : this.matchIndex);
+      return "update";
+    }
+
+    return "update";
+  }
+
+  getResult() {
+    return this.match || this.originalInput;
+  }
+
+  render() {
+    const label = this.failed
+      ? "(failed reverse-i-search)"
+      : "(reverse-i-search)";
+
+    let match = this.match;
+    const position = this.query ? match.indexOf(this.query) : -1;
+    if (position !== -1) {
+      match =
+        match.slice(0, position) +
+        chalk.underline(this.query) +
+        match.slice(position + this.query.length);
+    }
+
+    return chalk.gray(`${label}\`${this.query}': `) + match;
+  }
+}
+
+module.exports = ReverseSearch;
@@ -2,16 +2,25 @@
 
 const TerminalInterface = require("./terminal-interface");
 const config = require("./config");
+const { createProvider } = require("./llm-providers");
 
-// Check if API key is configured
-if (!config.GEMINI_API_KEY || config.GEMINI_API_KEY === "YOUR_API_KEY_HERE") {
-  console.error("❌ Error: Please configure your Gemini API key in config.js");
-  console.log("📝 Steps:");
-  console.log(
-    "1. Get your API key from https://makersuite.google.com/app/apikey"
+// Check the configured provider has an API key if it needs one
+const provider = createProvider();
+if (!config.OFFLINE_MODE && !provider.isConfigured()) {
+  console.error(
+    `❌ Error: Please configure your ${provider.displayName} API key (${provider.keyVariable})`
   );
-  console.log("2. Update the GEMINI_API_KEY in config.js");
+  console.log("📝 Steps:");
+  if (provider.name === "gemini") {
+    console.log(
+      "1. Get your API key from https://makersuite.google.com/app/apikey"
+    );
+  } else {
+    console.log("1. Get an API key for your endpoint");
+  }
+  console.log(`2. Add it to ${provider.keyVariable} in .env`);
   console.log("3. Run: npm start");
+  console.log("Or run without any remote API: npm start -- --offline");
   process.exit(1);
 }
 
@@ -0,0 +1,223 @@
+const axios = require("axios");
+const chalk = require("chalk");
+const config = require("./config");
+
+// A rate-limited key rests at most this long, however often it is limited
+const MAX_COOLDOWN = 60 * 60 * 1000;
+
+/**
+ * What kind of failure a request error is, which decides what happens next:
+ *
+ *   "auth"         the key was rejected; it is disabled for the session
+ *   "quota"        rate-limited; the key cools down and the next one is used
+ *   "server"       a 5xx; retried after a backoff
+ *   "network"      no response; retried after a backoff
+ *   "timeout"      no response in time; not retried, the time is spent
+ *   "bad-request"  any other 4xx, caused by the request; not retried
+ *   "cancelled"    aborted by the caller
+ */
+function classifyError(error) {
+  if (axios.isCancel(error)) return "cancelled";
+  if (!error.response) {
+    return error.code === "ECONNABORTED" || error.code === "ETIMEDOUT"
+      ? "timeout"
+      : "network";
+  }
+
+  const { status, data } = error.response;
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "quota";
+  if (status >= 500) return "server";
+  // Gemini answers an unknown key with 400 INVALID_ARGUMENT
+  const message = data && data.error && data.error.message;
+  if (typeof message === "string" && /api[ _-]?key/i.test(message)) {
+    return "auth";
+  }
+  return "bad-request";
+}
+
+// How long the API asked us to wait, in ms: the Retry-After header (seconds
+// or a date) or, from Gemini, a RetryInfo "retryDelay" like "31s"
+function getRetryAfter(error) {
+  const response = error.response;
+  if (!response) return null;
+
+  const header = response.headers && response.headers["retry-after"];
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const details = response.data?.error?.details;
+  const retryInfo = Array.isArray(details)
+    ? details.find((detail) => detail && detail.retryDelay)
+    : null;
+  const delay = retryInfo && /^(\d+(?:\.\d+)?)s$/.exec(retryInfo.retryDelay);
+  return delay ? Number(delay[1]) * 1000 : null;
+}
+
+/**
+ * A provider's API keys and how each is doing. Requests stay on one key
+ * while it works; a rejected key is disabled and a rate-limited one rests
+ * until Retry-After (or KEY_COOLDOWN, doubling while it keeps being
+ * limited), and the next usable key takes over. Each key counts its
+ * successes, failures by kind and latency for `stats`.
+ *
+ * Providers that need no key (local servers) get a single keyless entry,
+ * so their stats are kept the same way. One that needs a key but has none
+ * gets no entries, and every request fails before it is sent.
+ */
+class KeyPool {
+  constructor(keys = [], { requiresApiKey = true } = {}) {
+    const slots = keys.length > 0 || requiresApiKey ? keys : [null];
+    this.entries = slots.map((key, index) => ({
+      key,
+      index,
+      disabled: false,
+      cooldownUntil: 0,
+      rateLimits: 0,
+      successes: 0,
+      failures: {},
+      totalLatency: 0,
+    }));
+    this.currentIndex = 0;
+  }
+
+  isUsable(entry, now = Date.now()) {
+    return !entry.disabled && entry.cooldownUntil <= now;
+  }
+
+  // The current key if usable, else the next usable one, skipping entries
+  // in `tried`; null when there is none
+  acquire(tried = new Set()) {
+    const now = Date.now();
+    for (let offset = 0; offset < this.entries.length; offset++) {
+      const entry =
+        this.entries[(this.currentIndex + offset) % this.entries.length];
+      if (!tried.has(entry) && this.isUsable(entry, now)) {
+        this.currentIndex = entry.index;
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  recordSuccess(entry, latency) {
+    entry.successes++;
+    entry.totalLatency += latency;
+    entry.rateLimits = 0;
+  }
+
+  /**
+   * Counts a failed request, disabling the key or starting its cooldown as
+   * the error calls for, and returns the error's kind (see classifyError).
+   * Cancelled requests aren't counted.
+   */
+  recordFailure(entry, error) {
+    const kind = classifyError(error);
+    if (kind === "cancelled") return kind;
+
+    entry.failures[kind] = (entry.failures[kind] || 0) + 1;
+
+    // A keyless entry is the only way to the server; never shut it
+    if (entry.key === null) return kind;
+
+    if (kind === "auth") {
+      entry.disabled = true;
+    } else if (kind === "quota") {
+      entry.rateLimits++;
+      const retryAfter = getRetryAfter(error);
+      const cooldown =
+        retryAfter !== null
+          ? retryAfter
+          : config.KEY_COOLDOWN * 2 ** (entry.rateLimits - 1);
+      entry.cooldownUntil = Date.now() + Math.min(cooldown, MAX_COOLDOWN);
+    }
+    return kind;
+  }
+
+  /**
+   * How long to wait before retry number `retry` (from 0) after a server or
+   * network error: exponential backoff with jitter, half fixed and half
+   * random, or longer when the server asks. Null when it asks for more
+   * than RETRY_MAX_DELAY, which isn't worth waiting for.
+   */
+  getRetryDelay(error, retry) {
+    const backoff = Math.min(
+      config.RETRY_MAX_DELAY,
+      config.RETRY_BASE_DELAY * 2 ** retry
+    );
+    const delay = backoff / 2 + Math.random() * (backoff / 2);
+    const retryAfter = getRetryAfter(error);
+    if (retryAfter === null) return delay;
+    return retryAfter <= config.RETRY_MAX_DELAY
+      ? Math.max(delay, retryAfter)
+      : null;
+  }
+
+  // The error to throw when no key is left to try
+  getUnavailableError(lastError) {
+    if (this.entries.length === 0) {
+      return new Error("No API key is configured");
+    }
+    if (lastError) {
+      return this.entries.length > 1
+        ? new Error(`All API keys exhausted or failed: ${lastError.message}`)
+        : lastError;
+    }
+    if (this.entries.every((entry) => entry.disabled)) {
+      return new Error("All API keys were rejected");
+    }
+    const next = Math.min(
+      ...this.entries
+        .filter((entry) => !entry.disabled)
+        .map((entry) => entry.cooldownUntil)
+    );
+    const seconds = Math.ceil((next - Date.now()) / 1000);
+    return new Error(`All API keys are rate-limited; retry in ${seconds}s`);
+  }
+
+  // Each key's state and counts, for `stats`; keys themselves never show
+  getDisplay() {
+    const now = Date.now();
+    const lines = this.entries.map((entry) => {
+      const name = entry.key === null ? "server" : `key #${entry.index + 1}`;
+      let state = chalk.green("ok");
+      if (entry.disabled) {
+        state = chalk.red("disabled (rejected)");
+      } else if (entry.cooldownUntil > now) {
+        const seconds = Math.ceil((entry.cooldownUntil - now) / 1000);
+        state = chalk.yellow(`cooling down ${seconds}s`);
+      }
+
+      const failures = Object.entries(entry.failures);
+      const failed = failures.reduce((sum, [, count]) => sum + count, 0);
+      const latency =
+        entry.successes > 0
+          ? `, avg ${Math.round(entry.totalLatency / entry.successes)} ms`
+          : "";
+      const kinds =
+        failed > 0
+          ? ` (${failures
+              .map(([kind, count]) => `${count} ${kind}`)
+              .join(", ")})`
+          : "";
+      const current =
+        entry.index === this.currentIndex && this.entries.length > 1
+          ? chalk.cyan(" ←")
+          : "";
+      return (
+        `  ${name.padEnd(8)} ${state}${current}` +
+        chalk.gray(
+          ` · ${entry.successes} ok${latency}, ${failed} failed${kinds}`
+        )
+      );
+    });
+    if (lines.length === 0) lines.push(chalk.gray("  none configured"));
+    return [chalk.yellow("API Keys:"), ...lines].join("\n");
+  }
+}
+
+module.exports = KeyPool;
@@ -8,6 +8,7 @@ const CostOptimizedTerminal = require("./cost-optimized-terminal");
 const ContextAwareTerminal = require("./context-aware-terminal");
 const MLEnhancedTerminal = require("./ml-enhanced-terminal");
 const config = require("./config");
+const { createProvider } = require("./llm-providers");
 
 class Launcher {
   constructor() {
@@ -22,6 +23,17 @@ class Launcher {
     console.log(chalk.cyan("🤖 Gemini Terminal Assistant - Launcher"));
     console.log(chalk.gray("========================================\n"));
 
+    if (config.OFFLINE_MODE) {
+      const provider = createProvider();
+      console.log(
+        chalk.yellow(
+          provider
+            ? `📴 Offline mode: no remote APIs, local model via ${provider.displayName}\n`
+            : "📴 Offline mode: no remote APIs, suggestions from history, patterns and cache only\n"
+        )
+      );
+    }
+
     console.log(chalk.yellow("Choose your terminal mode:\n"));
     console.log(chalk.white("1. ") + chalk.cyan("Basic Mode"));
     console.log(chalk.gray("   • Simple command suggestions"));
@@ -65,28 +77,34 @@ class Launcher {
   }
 
   async launch() {
-    // Check API key(s) first
-    if (
-      !Array.isArray(config.GEMINI_API_KEYS) ||
-      config.GEMINI_API_KEYS.length === 0 ||
-      !config.GEMINI_API_KEYS[0] ||
-      config.GEMINI_API_KEYS[0] === "YOUR_API_KEY_HERE"
-    ) {
+    // Check the configured provider has what it needs first; offline mode
+    // needs no key
+    const provider = createProvider();
+    if (!config.OFFLINE_MODE && !provider.isConfigured()) {
       console.error(
         chalk.red(
-          "❌ Error: Please configure at least one Gemini API key in config.js (GEMINI_API_KEYS array)"
+          `❌ Error: Please configure at least one ${provider.displayName} API key (${provider.keyVariable})`
         )
       );
       console.log(chalk.white("📝 Steps:"));
+      if (provider.name === "gemini") {
+        console.log(
+          chalk.gray(
+            "1. Get your API key from https://makersuite.google.com/app/apikey"
+          )
+        );
+      } else {
+        console.log(chalk.gray("1. Get an API key for your endpoint"));
+      }
       console.log(
         chalk.gray(
-          "1. Get your API key from https://makersuite.google.com/app/apikey"
+          `2. Add it to ${provider.keyVariable} in .env, or set LLM_PROVIDER=ollama for a local model`
         )
       );
+      console.log(chalk.gray("3. Run: node launcher.js"));
       console.log(
-        chalk.gray("2. Add it to the GEMINI_API_KEYS array in config.js")
+        chalk.gray("Or run without any remote API: node launcher.js --offline")
       );
-      console.log(chalk.gray("3. Run: node launcher.js"));
       process.exit(1);
     }
 
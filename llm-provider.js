@@ -0,0 +1,303 @@
+const axios = require("axios");
+const config = require("./config");
+const CircuitBreaker = require("./circuit-breaker");
+const KeyPool = require("./key-pool");
+const SecretRedactor = require("./secret-redactor");
+
+/**
+ * Base class for the LLM backends suggestions come from. A provider turns a
+ * prompt into one HTTP request and the response back into text; services
+ * only ever call generate() or stream(). Subclasses implement
+ * buildRequest(), parseResponse() and, for streaming, parseStreamEvent();
+ * `streamFormat` says whether the stream is server-sent events ("sse") or
+ * one JSON object per line ("ndjson").
+ *
+ * Keys come from a KeyPool: a rejected or rate-limited key is set aside
+ * and the request goes to the next one, server and network errors are
+ * retried after a backoff, and errors the request caused aren't retried.
+ * When requests keep failing that way, a CircuitBreaker stops them until
+ * the provider answers again.
+ *
+ * Prompts have secrets redacted before they are sent, and so do the
+ * messages of errors thrown back to services, which may log them.
+ */
+class LLMProvider {
+  constructor({
+    name,
+    displayName,
+    apiUrl,
+    apiKeys = [],
+    model = null,
+    requiresApiKey = true,
+    keyVariable = null,
+  }) {
+    this.name = name;
+    this.displayName = displayName;
+    this.apiUrl = apiUrl;
+    this.apiKeys = apiKeys.map((key) => key.trim()).filter(Boolean);
+    this.model = model;
+    this.requiresApiKey = requiresApiKey;
+    this.keyVariable = keyVariable;
+    this.keyPool = new KeyPool(this.apiKeys, { requiresApiKey });
+    this.circuitBreaker = new CircuitBreaker(() => this.probe());
+    this.streamFormat = "sse";
+    this.redactor = new SecretRedactor();
+  }
+
+  // Whether requests can be made at all; local servers need no key
+  isConfigured() {
+    if (!this.apiUrl) return false;
+    if (!this.requiresApiKey) return true;
+    return this.apiKeys.some((key) => key !== "YOUR_API_KEY_HERE");
+  }
+
+  // Whether the endpoint is on this machine, so offline mode may use it
+  isLocal() {
+    try {
+      const { hostname } = new URL(this.apiUrl);
+      return ["localhost", "127.0.0.1", "[::1]", "::1"].includes(hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Index of the key requests go to now, which answered the last success
+  get currentKeyIndex() {
+    return this.keyPool.currentIndex;
+  }
+
+  // Returns { url, data, headers } for a prompt, streamed or not; with a
+  // JSON `schema` the reply is constrained to it where the API allows
+  buildRequest(prompt, apiKey, { stream = false, schema = null } = {}) {
+    throw new Error(`${this.displayName} provider does not build requests`);
+  }
+
+  // Returns { text, tokenCount, promptTokens } from a response body, or
+  // null without text
+  parseResponse(data) {
+    throw new Error(`${this.displayName} provider does not parse responses`);
+  }
+
+  // Returns { text, tokenCount, promptTokens } for one streamed event; text
+  // is the new part only, the counts are totals when the event carries them
+  parseStreamEvent(event) {
+    throw new Error(`${this.displayName} provider does not stream`);
+  }
+
+  /**
+   * Sends `prompt` and resolves to { text, tokenCount, promptTokens }, or
+   * null when the model returned no text. Rejects when every key failed. A
+   * `schema` asks for JSON of that shape (unless STRUCTURED_OUTPUT is off);
+   * callers still validate the reply.
+   */
+  async generate(prompt, { timeout = 15000, signal, schema } = {}) {
+    const redacted = this.redactor.redact(prompt);
+    return this.withKeyRotation(
+      async (apiKey) => {
+        const request = this.buildRequest(redacted, apiKey, {
+          schema: this.schemaFor(schema),
+        });
+        const response = await this.post(request, { timeout, signal });
+        return this.parseResponse(response.data);
+      },
+      { signal }
+    );
+  }
+
+  /**
+   * Like generate(), but calls `onText` with the text so far each time a
+   * chunk arrives. Aborting `signal` cancels the request, even mid-stream;
+   * the promise then rejects with an error for which axios.isCancel() is
+   * true.
+   */
+  async stream(prompt, { timeout = 15000, signal, schema, onText } = {}) {
+    const redacted = this.redactor.redact(prompt);
+    let received = false;
+    return this.withKeyRotation(
+      async (apiKey) => {
+        const request = this.buildRequest(redacted, apiKey, {
+          stream: true,
+          schema: this.schemaFor(schema),
+        });
+        const response = await this.post(request, {
+          timeout,
+          signal,
+          responseType: "stream",
+        });
+        return this.readStream(response.data, signal, (text) => {
+          received = true;
+          if (onText) onText(text);
+        });
+      },
+      { signal, isFinal: () => received }
+    );
+  }
+
+  // Some OpenAI-compatible servers reject response formats they don't know
+  schemaFor(schema) {
+    return config.STRUCTURED_OUTPUT && schema ? schema : null;
+  }
+
+  post(request, options) {
+    return axios.post(request.url, request.data, {
+      headers: {
+        "Content-Type": "application/json",
+        ...request.headers,
+      },
+      ...options,
+    });
+  }
+
+  // Runs `send` with a key from the pool until it succeeds or the error
+  // isn't worth retrying. Cancelled requests, and ones that `isFinal` says
+  // got too far, aren't retried.
+  async withKeyRotation(send, { signal, isFinal = () => false } = {}) {
+    if (this.circuitBreaker.isOpen()) {
+      throw new Error(`${this.displayName} is unreachable`);
+    }
+
+    const tried = new Set();
+    let retries = 0;
+    let lastError = null;
+
+    for (;;) {
+      const entry = this.keyPool.acquire(tried);
+      if (!entry) throw this.keyPool.getUnavailableError(lastError);
+
+      const startedAt = Date.now();
+      try {
+        const result = await send(entry.key);
+        this.keyPool.recordSuccess(entry, Date.now() - startedAt);
+        this.circuitBreaker.recordSuccess();
+        return result;
+      } catch (error) {
+        error.message = this.redactor.redact(error.message);
+        const kind = this.keyPool.recordFailure(entry, error);
+        if (kind === "cancelled" || isFinal()) throw error;
+        lastError = error;
+
+        const outage = ["server", "network", "timeout"].includes(kind);
+        if (!outage) this.circuitBreaker.recordSuccess();
+
+        // The key is out of use for now; the next one may work
+        if (kind === "auth" || kind === "quota") {
+          tried.add(entry);
+          continue;
+        }
+
+        // The server is struggling; give it a moment, up to RETRY_ATTEMPTS
+        const delay =
+          (kind === "server" || kind === "network") &&
+          retries < config.RETRY_ATTEMPTS
+            ? this.keyPool.getRetryDelay(error, retries)
+            : null;
+        if (delay === null) {
+          if (outage) this.circuitBreaker.recordFailure();
+          throw error;
+        }
+        retries++;
+        await this.wait(delay, signal);
+      }
+    }
+  }
+
+  // Whether the API answers at all. Any reply short of a 5xx will do, so
+  // the probe needs no key and costs no tokens.
+  async probe() {
+    try {
+      await axios.get(this.apiUrl, {
+        timeout: 5000,
+        validateStatus: (status) => status < 500,
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Resolves after `ms`, or rejects as cancelled when `signal` aborts first
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(new axios.CanceledError());
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new axios.CanceledError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  // Collects a streamed body into { text, tokenCount, promptTokens }
+  readStream(body, signal, onText) {
+    return new Promise((resolve, reject) => {
+      let buffer = "";
+      let text = "";
+      let tokenCount = 0;
+      let promptTokens = 0;
+
+      const handleLine = (line) => {
+        let payload = line.trim();
+        if (this.streamFormat === "sse") {
+          if (!payload.startsWith("data:")) return;
+          payload = payload.slice(5).trim();
+        }
+        if (!payload || payload === "[DONE]") return;
+
+        let chunk;
+        try {
+          chunk = this.parseStreamEvent(JSON.parse(payload));
+        } catch (error) {
+          return;
+        }
+        if (!chunk) return;
+        if (chunk.tokenCount) tokenCount = chunk.tokenCount;
+        if (chunk.promptTokens) promptTokens = chunk.promptTokens;
+        if (chunk.text) {
+          text += chunk.text;
+          onText(text.trimStart());
+        }
+      };
+
+      const abort = () => {
+        body.destroy();
+        reject(new axios.CanceledError());
+      };
+      if (signal) {
+        if (signal.aborted) return abort();
+        signal.addEventListener("abort", abort, { once: true });
+      }
+
+      body.on("data", (data) => {
+        buffer += data.toString();
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      });
+      body.on("end", () => {
+        if (signal) signal.removeEventListener("abort", abort);
+        handleLine(buffer);
+        resolve(this.result(text, tokenCount, promptTokens));
+      });
+      body.on("error", (error) => {
+        if (signal) signal.removeEventListener("abort", abort);
+        reject(error);
+      });
+    });
+  }
+
+  // Trimmed text and token counts, or null when there's no text
+  result(text, tokenCount, promptTokens) {
+    if (typeof text !== "string" || text.trim() === "") return null;
+    return {
+      text: text.trim(),
+      tokenCount: tokenCount || 0,
+      promptTokens: promptTokens || 0,
+    };
+  }
+}
+
+module.exports = LLMProvider;
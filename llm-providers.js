@@ -0,0 +1,47 @@
+const config = require("./config");
+const GeminiProvider = require("./gemini-provider");
+const OpenAIProvider = require("./openai-provider");
+const OllamaProvider = require("./ollama-provider");
+
+// Provider names accepted in LLM_PROVIDER
+const PROVIDERS = {
+  gemini: () => new GeminiProvider(),
+  openai: () => new OpenAIProvider(),
+  ollama: () => new OllamaProvider(),
+  // llama-server speaks the OpenAI chat API on its own port
+  llamacpp: () =>
+    new OpenAIProvider({
+      name: "llamacpp",
+      displayName: "llama.cpp",
+      apiUrl: config.LLAMACPP_API_URL,
+      apiKeys: [],
+      model: null,
+      requiresApiKey: false,
+      keyVariable: null,
+    }),
+};
+
+/**
+ * Creates the provider named in LLM_PROVIDER (or `name`). Unknown names
+ * fall back to Gemini so a typo in the environment doesn't stop the
+ * terminal from starting. In offline mode only a provider whose endpoint
+ * is on this machine is created; otherwise this returns null and
+ * suggestions come from local sources alone.
+ */
+function createProvider(name = config.LLM_PROVIDER) {
+  const key = String(name || "gemini").toLowerCase();
+  let provider;
+  if (!PROVIDERS[key]) {
+    if (config.DEBUG_MODE) {
+      console.error(`Unknown LLM provider "${name}", using gemini`);
+    }
+    provider = PROVIDERS.gemini();
+  } else {
+    provider = PROVIDERS[key]();
+  }
+
+  if (config.OFFLINE_MODE && !provider.isLocal()) return null;
+  return provider;
+}
+
+module.exports = { createProvider, PROVIDERS };
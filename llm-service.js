@@ -0,0 +1,395 @@
+const axios = require("axios");
+const config = require("./config");
+const AuditLog = require("./audit-log");
+const CacheManager = require("./cache-manager");
+const ContextManager = require("./context-manager");
+const CommandExplainer = require("./command-explainer");
+const CommandFixer = require("./command-fixer");
+const { createProvider } = require("./llm-providers");
+const {
+  SUGGESTION_SCHEMA,
+  COMMAND_SCHEMA,
+  EXPLANATION_SCHEMA,
+  parseSuggestions,
+  parseCommand,
+  parseExplanation,
+} = require("./suggestion-parser");
+
+/**
+ * What the terminals ask of a model: ghost-text suggestions, commands from
+ * plain words, fixes for failed commands and explanations, all within the
+ * request limits, privacy policy and provider health. Services differ only
+ * in how long they let a request take.
+ */
+class LLMService {
+  constructor({ timeout = 15000 } = {}) {
+    this.timeout = timeout;
+    this.provider = createProvider();
+    this.cacheManager = new CacheManager();
+    this.contextManager = new ContextManager();
+    this.commandExplainer = new CommandExplainer(
+      this.contextManager.specCompleter
+    );
+    this.commandFixer = new CommandFixer(this.contextManager);
+    this.auditLog = new AuditLog();
+  }
+
+  /**
+   * Ranked suggestions for `userInput` as [{ command, explanation,
+   * confidence, risk }], best first; empty when there are none. One
+   * request asks for SUGGESTION_CANDIDATES of them as JSON, and replies
+   * that don't validate are dropped rather than cached. With
+   * STREAM_SUGGESTIONS the list so far is passed to
+   * `onPartial` as it arrives; aborting `signal` (because the input
+   * changed) cancels the request, which then resolves to an empty list and
+   * isn't cached. It still counts against the request limits.
+   */
+  async getCommandSuggestions(userInput, { signal, onPartial } = {}) {
+    // Check if suggestions are enabled
+    if (!config.ENABLE_SUGGESTIONS) {
+      return [];
+    }
+
+    // Check minimum input length
+    if (userInput.trim().length < config.MIN_INPUT_LENGTH) {
+      return [];
+    }
+
+    // Check cache first
+    const cachedSuggestions = this.cacheManager.getAll(userInput);
+    if (cachedSuggestions) {
+      return cachedSuggestions;
+    }
+
+    try {
+      // Get contextual suggestion; direct matches and typo corrections are
+      // local, so they don't count against the request limit
+      const contextualResult =
+        await this.contextManager.getContextualSuggestion(userInput);
+
+      let prompt;
+      if (typeof contextualResult === "string") {
+        // Direct match found, use it
+        return [
+          {
+            command: contextualResult,
+            explanation: "",
+            confidence: null,
+            risk: null,
+          },
+        ];
+      } else {
+        // Use context-aware prompt
+        prompt = contextualResult.prompt;
+      }
+
+      // Offline without a local model, or kept local by the privacy
+      // policy: local sources only
+      if (!this.canUseProvider({ suggestion: true })) {
+        return [];
+      }
+
+      // Check if we can make a request
+      if (!this.cacheManager.canMakeRequest()) {
+        return [];
+      }
+
+      const { result, parsed: suggestions } = await this.request(
+        "suggestion",
+        prompt,
+        {
+          input: userInput,
+          parse: (text) => parseSuggestions(text, { input: userInput }),
+          stream: config.STREAM_SUGGESTIONS,
+          timeout: this.timeout,
+          signal,
+          schema: SUGGESTION_SCHEMA,
+          onText: (text) => {
+            const partial = parseSuggestions(text, {
+              input: userInput,
+              partial: true,
+            });
+            if (onPartial && partial.length > 0) {
+              onPartial(partial);
+            }
+          },
+        }
+      );
+
+      if (result) {
+        // Cache the result, unless the reply didn't validate
+        if (suggestions.length > 0) {
+          this.cacheManager.set(userInput, suggestions);
+        }
+
+        return suggestions;
+      }
+
+      return [];
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        return [];
+      }
+      if (config.DEBUG_MODE) {
+        console.error(`${this.provider.displayName} API Error:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  // The best command from getCommandSuggestions(), or null
+  async getCommandSuggestion(userInput, { signal, onPartial } = {}) {
+    const suggestions = await this.getCommandSuggestions(userInput, {
+      signal,
+      onPartial: onPartial && ((partial) => onPartial(partial[0].command)),
+    });
+    return suggestions.length > 0 ? suggestions[0].command : null;
+  }
+
+  // The text after a COMMAND_REQUEST_PREFIXES prefix ("# list big files"),
+  // or null when `input` is a command line
+  getCommandRequest(input) {
+    const line = input.trimStart();
+    const prefix = config.COMMAND_REQUEST_PREFIXES.find((candidate) =>
+      line.startsWith(candidate)
+    );
+    return prefix === undefined ? null : line.substring(prefix.length).trim();
+  }
+
+  /**
+   * Turns a request in plain words into { command, explanation, risk } that
+   * fits the current project, or null. The user asked for it, so the typing
+   * cooldown doesn't apply; the daily limit does. Nothing is cached, since
+   * the answer depends on where it was asked.
+   */
+  async translateCommand(request) {
+    if (!this.canUseProvider()) {
+      return null;
+    }
+    if (!this.cacheManager.canMakeRequest({ ignoreCooldown: true })) {
+      return null;
+    }
+
+    try {
+      await this.contextManager.updateContext();
+      const prompt = this.contextManager.buildCommandPrompt(request);
+      const { result, parsed } = await this.request("command", prompt, {
+        input: request,
+        parse: parseCommand,
+        timeout: this.timeout,
+        schema: COMMAND_SCHEMA,
+      });
+      if (!result) {
+        return null;
+      }
+
+      return parsed;
+    } catch (error) {
+      if (config.DEBUG_MODE) {
+        console.error(`${this.provider.displayName} API Error:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * A corrected command for a failed run (a session.run() result), as
+   * { command, explanation, source }, or null. Local rules go first; the
+   * provider is only asked when none applies and the failure says enough
+   * to diagnose, within the usual request limits, since nobody asked for
+   * this one.
+   */
+  async getCommandFix(result) {
+    if (!config.SUGGEST_FIXES || !this.commandFixer.isFixable(result)) {
+      return null;
+    }
+
+    const fix = this.commandFixer.getFix(result);
+    if (fix) {
+      return fix;
+    }
+
+    if (
+      !this.commandFixer.isDiagnosable(result) ||
+      !this.canUseProvider() ||
+      !this.cacheManager.canMakeRequest()
+    ) {
+      return null;
+    }
+
+    try {
+      const prompt = this.contextManager.buildFixPrompt(result);
+      const { result: response, parsed: proposal } = await this.request(
+        "fix",
+        prompt,
+        {
+          input: result.command,
+          parse: parseCommand,
+          timeout: this.timeout,
+          schema: COMMAND_SCHEMA,
+        }
+      );
+      if (!response) {
+        return null;
+      }
+
+      if (!proposal || proposal.command === result.command.trim()) {
+        return null;
+      }
+      return { ...proposal, source: "ai" };
+    } catch (error) {
+      if (config.DEBUG_MODE) {
+        console.error(`${this.provider.displayName} API Error:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * `explain <command>`: what each part of a command line does, formatted
+   * for display. Completion specs, the bundled table and man pages come
+   * first; the provider is only asked when they leave parts unexplained,
+   * and its answer is cached.
+   */
+  async explainCommand(line) {
+    const explanation = await this.commandExplainer.explain(line);
+    if (!explanation.complete) {
+      const reply =
+        this.cacheManager.getExplanation(line) ||
+        (await this.requestExplanation(explanation));
+      if (reply) {
+        this.commandExplainer.merge(explanation, reply);
+      }
+    }
+    return this.commandExplainer.format(explanation);
+  }
+
+  async requestExplanation(explanation) {
+    if (!this.canUseProvider()) {
+      return null;
+    }
+    if (!this.cacheManager.canMakeRequest({ ignoreCooldown: true })) {
+      return null;
+    }
+
+    try {
+      const prompt = this.commandExplainer.buildPrompt(explanation);
+      const { result, parsed: reply } = await this.request(
+        "explanation",
+        prompt,
+        {
+          input: explanation.command,
+          parse: parseExplanation,
+          timeout: this.timeout,
+          schema: EXPLANATION_SCHEMA,
+        }
+      );
+      if (!result) {
+        return null;
+      }
+
+      if (reply) {
+        this.cacheManager.setExplanation(explanation.command, reply);
+      }
+      return reply;
+    } catch (error) {
+      if (config.DEBUG_MODE) {
+        console.error(`${this.provider.displayName} API Error:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Sends `prompt` with provider.generate(), or stream() when `stream` is
+   * set, and resolves to { result, parsed }: the provider's result and what
+   * `parse` made of its text. The exchange goes to the audit log whether it
+   * succeeds or not.
+   */
+  async request(kind, prompt, { input = null, parse, stream, ...options }) {
+    const exchange = this.auditLog.start(kind, this.provider, prompt, input);
+    // Counted as it goes out: a cancelled or failed request is billed too
+    this.cacheManager.recordRequest();
+    try {
+      const result = stream
+        ? await this.provider.stream(prompt, options)
+        : await this.provider.generate(prompt, options);
+      if (result) this.cacheManager.recordTokens(result.tokenCount);
+      const parsed = result ? parse(result.text) : null;
+      this.auditLog.finish(exchange, { result, parsed });
+      return { result, parsed };
+    } catch (error) {
+      this.auditLog.finish(exchange, { error });
+      throw error;
+    }
+  }
+
+  // The latest model exchange that produced `command`, for `why`
+  findExchange(command) {
+    return this.auditLog.findByCommand(command);
+  }
+
+  getUsageStats() {
+    return this.cacheManager.getUsageStats();
+  }
+
+  clearCache() {
+    this.cacheManager.clearCache();
+  }
+
+  resetUsageStats() {
+    this.cacheManager.resetUsageStats();
+  }
+
+  getContextDisplay() {
+    return this.contextManager.getContextDisplay();
+  }
+
+  getPrivacyDisplay() {
+    return this.contextManager.getPrivacyDisplay();
+  }
+
+  // Whether the provider is down, so only local sources are used until a
+  // probe finds it back
+  isDegraded() {
+    return Boolean(this.provider && this.provider.circuitBreaker.isOpen());
+  }
+
+  // `listener` is called when the provider goes down or comes back
+  onDegradedChange(listener) {
+    if (this.provider) this.provider.circuitBreaker.onChange = listener;
+  }
+
+  // Each API key's state and counts, for `stats`; null without a provider
+  getKeyPoolDisplay() {
+    return this.provider ? this.provider.keyPool.getDisplay() : null;
+  }
+
+  /**
+   * Whether a request may go to the provider from the working directory:
+   * there is one, it isn't down, and the privacy policy doesn't keep
+   * requests (or, for a `suggestion`, ghost-text requests) on this
+   * machine. A provider on localhost is always allowed.
+   */
+  canUseProvider({ suggestion = false } = {}) {
+    if (!this.provider || this.isDegraded()) return false;
+    if (this.provider.isLocal()) return true;
+
+    const policy = this.contextManager.getPrivacyPolicy();
+    return !policy.localOnly && (!suggestion || policy.remoteSuggestions);
+  }
+
+  setSession(session) {
+    this.contextManager.setSession(session);
+  }
+
+  async updateContext() {
+    await this.contextManager.updateContext();
+  }
+
+  addRecentCommand(command) {
+    this.contextManager.addRecentCommand(command);
+  }
+}
+
+module.exports = LLMService;
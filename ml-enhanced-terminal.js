@@ -1,106 +1,64 @@
-const readline = require("readline");
+const path = require("path");
 const chalk = require("chalk");
 const cliCursor = require("cli-cursor");
-const OptimizedGeminiService = require("./gemini-service-optimized");
+const RawTerminal = require("./raw-terminal");
+const {
+  handleAssistantCommand,
+  confirmRisk,
+  announceFix,
+} = require("./terminal-actions");
 const MLSuggestionEngine = require("./ml-suggestion-engine");
+const HistoryImporter = require("./history-importer");
+const { splitWords } = require("./shell-parser");
 const config = require("./config");
 
-class MLEnhancedTerminal {
+// What each kind of ML suggestion is based on, for `why`
+const SUGGESTION_TYPES = {
+  pattern: "a common workflow pattern",
+  context: "the git and Node.js state of this directory",
+  semantic: "commands similar to the input",
+  sequence: "what usually follows your recent commands",
+  spec: "a completion spec",
+  correction: "a typo correction",
+  file: "files in this directory",
+};
+
+class MLEnhancedTerminal extends RawTerminal {
   constructor() {
-    this.geminiService = new OptimizedGeminiService();
+    super();
     this.mlEngine = new MLSuggestionEngine();
-    this.currentInput = "";
+    this.history.ready.then(() => {
+      this.loadRecentCommands();
+      this.mlEngine.bootstrapFromHistory(this.history.entries);
+    });
+    this.historyImporter = new HistoryImporter();
     this.suggestions = [];
     this.selectedSuggestionIndex = 0;
-    this.suggestionTimeout = null;
-    this.isProcessing = false;
-    this.cursorPosition = 0;
+    this.pendingFix = null;
+    this.acceptedFix = null;
+    this.lastShown = null;
+    this.lastExitCode = null;
     this.recentCommands = [];
     this.maxRecentCommands = 20;
-
-    // Setup readline interface
-    this.rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-      prompt: "",
-    });
-
-    this.setupEventListeners();
-  }
-
-  setupEventListeners() {
-    // Handle raw input for better control
-    process.stdin.setRawMode(true);
-    process.stdin.resume();
-    process.stdin.setEncoding("utf8");
-
-    process.stdin.on("data", (key) => {
-      this.handleKeyPress(key);
-    });
-
-    // Handle process termination
-    process.on("SIGINT", () => {
-      this.cleanup();
-      process.exit(0);
-    });
-
-    process.on("SIGTERM", () => {
-      this.cleanup();
-      process.exit(0);
-    });
-  }
-
-  handleKeyPress(key) {
-    const keyCode = key.charCodeAt(0);
-
-    // Ctrl+C
-    if (keyCode === 3) {
-      this.cleanup();
-      process.exit(0);
-    }
-
-    // Enter key
-    if (keyCode === 13) {
-      this.executeCommand();
-      return;
-    }
-
-    // Backspace
-    if (keyCode === 127) {
-      this.handleBackspace();
-      return;
-    }
-
-    // Tab key - cycle through suggestions
-    if (keyCode === 9) {
-      this.cycleSuggestions();
-      return;
-    }
-
-    // Arrow keys
-    if (keyCode === 27 && key.length > 1) {
-      this.handleArrowKeys(key);
-      return;
-    }
-
-    // Regular character input
-    if (keyCode >= 32 && keyCode <= 126) {
-      this.addCharacter(key);
-    }
   }
 
   handleArrowKeys(key) {
     if (key === "\u001b[A") {
       // Up arrow
-      this.cycleSuggestions(-1);
+      this.navigateHistory(-1);
     } else if (key === "\u001b[B") {
       // Down arrow
-      this.cycleSuggestions(1);
+      this.navigateHistory(1);
+    } else if (key === "\u001b[Z") {
+      // Shift+Tab
+      this.cycleSuggestions(-1);
     } else if (key === "\u001b[C") {
-      // Right arrow
+      // Right arrow - at the end of the line, accept the shown suggestion
       if (this.cursorPosition < this.currentInput.length) {
         this.cursorPosition++;
         this.redraw();
+      } else {
+        this.acceptSuggestion();
       }
     } else if (key === "\u001b[D") {
       // Left arrow
@@ -111,27 +69,6 @@ class MLEnhancedTerminal {
     }
   }
 
-  handleBackspace() {
-    if (this.cursorPosition > 0) {
-      this.currentInput =
-        this.currentInput.slice(0, this.cursorPosition - 1) +
-        this.currentInput.slice(this.cursorPosition);
-      this.cursorPosition--;
-      this.redraw();
-      this.requestSuggestions();
-    }
-  }
-
-  addCharacter(char) {
-    this.currentInput =
-      this.currentInput.slice(0, this.cursorPosition) +
-      char +
-      this.currentInput.slice(this.cursorPosition);
-    this.cursorPosition++;
-    this.redraw();
-    this.requestSuggestions();
-  }
-
   cycleSuggestions(direction = 1) {
     if (this.suggestions.length > 0) {
       this.selectedSuggestionIndex =
@@ -141,78 +78,140 @@ class MLEnhancedTerminal {
     }
   }
 
-  async requestSuggestions() {
-    if (this.suggestionTimeout) {
-      clearTimeout(this.suggestionTimeout);
+  // Tab with nothing to complete moves on to the next suggestion
+  takeSuggestion() {
+    if (this.suggestions.length === 0) return false;
+    this.cycleSuggestions();
+    return true;
+  }
+
+  acceptSuggestion() {
+    const suggestion = this.suggestions[this.selectedSuggestionIndex];
+    // Suggestions that don't extend the input (corrections) replace it
+    if (suggestion) {
+      this.cancelSuggestion();
+      this.acceptedFix =
+        this.pendingFix && this.pendingFix.command === suggestion.command
+          ? this.pendingFix
+          : null;
+      this.currentInput = suggestion.command;
+      this.cursorPosition = this.currentInput.length;
+      this.suggestions = [];
+      this.selectedSuggestionIndex = 0;
+      this.redraw();
     }
+  }
 
-    this.suggestionTimeout = setTimeout(async () => {
-      if (this.currentInput.trim().length < config.MIN_INPUT_LENGTH) {
-        this.suggestions = [];
-        this.selectedSuggestionIndex = 0;
-        this.redraw();
-        return;
-      }
+  getSuggestionContext() {
+    return {
+      git: { isGitRepo: true },
+      node: { hasPackageJson: true },
+      cwd: this.session.cwd,
+      lastExitCode: this.lastExitCode,
+      commandNames: this.session.getCommandNames(),
+    };
+  }
 
-      this.isProcessing = true;
-      this.redraw();
+  // On an empty prompt, offer what the sequence model expects next; it's
+  // local, so there is no need to debounce
+  showNextCommandPredictions() {
+    this.suggestions = this.mlEngine
+      .getNextCommandSuggestions(
+        this.getSuggestionContext(),
+        this.recentCommands
+      )
+      .map((suggestion) => ({ ...suggestion, source: "ML" }));
+    this.selectedSuggestionIndex = 0;
+    this.redraw();
+  }
 
-      try {
-        // Get context
-        const context = this.geminiService.getContextDisplay();
+  clearSuggestions() {
+    this.suggestions = [];
+    this.selectedSuggestionIndex = 0;
+  }
 
-        // Get ML-based suggestions
-        const mlSuggestions = await this.mlEngine.getContextualSuggestions(
-          this.currentInput,
-          { git: { isGitRepo: true }, node: { hasPackageJson: true } }, // Simplified context
-          this.recentCommands
-        );
+  // AI suggestions go after the ML ones in the model's order, replaced as
+  // they stream in; any an ML suggestion already covers are left out
+  setAISuggestions(aiSuggestions) {
+    this.suggestions = this.suggestions.filter((s) => s.source !== "AI");
+    aiSuggestions.forEach((suggestion, rank) => {
+      const { command, explanation, confidence, risk } = suggestion;
+      if (this.suggestions.some((s) => s.command === command)) return;
+      this.suggestions.push({
+        command,
+        type: "ai",
+        category: "gemini",
+        score: confidence !== null ? confidence : 0.8 - rank * 0.05,
+        confidence,
+        rank,
+        explanation,
+        risk,
+        source: "AI",
+      });
+    });
+    if (this.selectedSuggestionIndex >= this.suggestions.length) {
+      this.selectedSuggestionIndex = 0;
+    }
+  }
 
-        // Get Gemini AI suggestions
-        const aiSuggestion = await this.geminiService.getCommandSuggestion(
-          this.currentInput
-        );
+  requestSuggestion() {
+    this.cancelSuggestion();
 
-        // Combine suggestions
-        this.suggestions = [];
-
-        // Add ML suggestions
-        mlSuggestions.forEach((suggestion) => {
-          this.suggestions.push({
-            command: suggestion.command,
-            type: suggestion.type,
-            category: suggestion.category,
-            score: suggestion.score,
-            source: "ML",
-          });
-        });
-
-        // Add AI suggestion if different
-        if (
-          aiSuggestion &&
-          !this.suggestions.some((s) => s.command === aiSuggestion)
-        ) {
-          this.suggestions.push({
-            command: aiSuggestion,
-            type: "ai",
-            category: "gemini",
-            score: 0.8,
-            source: "AI",
-          });
-        }
+    // Suggestions the input no longer leads to belong to an old revision;
+    // callers redraw
+    const stillValid = this.suggestions.filter((s) =>
+      s.command.startsWith(this.currentInput)
+    );
+    if (stillValid.length !== this.suggestions.length) {
+      this.suggestions = stillValid;
+      this.selectedSuggestionIndex = 0;
+    }
 
-        this.selectedSuggestionIndex = 0;
-        this.isProcessing = false;
-        this.redraw();
-      } catch (error) {
-        this.isProcessing = false;
-        this.suggestions = [];
-        this.redraw();
-      }
-    }, config.SUGGESTION_DELAY);
+    if (this.currentInput.trim() === "") {
+      this.showNextCommandPredictions();
+      return;
+    }
+
+    this.scheduleSuggestion(async ({ input, signal, isCurrent }) => {
+      // Get ML-based suggestions
+      const mlSuggestions = await this.mlEngine.getContextualSuggestions(
+        input,
+        this.getSuggestionContext(),
+        this.recentCommands
+      );
+      if (!isCurrent()) return;
+
+      // ML suggestions are local, so show them while the AI one streams in
+      this.suggestions = mlSuggestions.map((suggestion) => ({
+        command: suggestion.command,
+        type: suggestion.type,
+        category: suggestion.category,
+        score: suggestion.score,
+        frecency: suggestion.frecency,
+        corrections: suggestion.corrections,
+        scoreComponents: suggestion.scoreComponents,
+        source: "ML",
+      }));
+      this.selectedSuggestionIndex = 0;
+      this.redraw();
+
+      // Get ranked AI suggestions, all from one request
+      const aiSuggestions = await this.geminiService.getCommandSuggestions(
+        input,
+        {
+          signal,
+          onPartial: (partial) => {
+            if (!isCurrent()) return;
+            this.setAISuggestions(partial);
+            this.redraw();
+          },
+        }
+      );
+      if (isCurrent()) this.setAISuggestions(aiSuggestions);
+    });
   }
 
-  redraw() {
+  drawLine() {
     try {
       // Clear current line
       process.stdout.write("\r\x1b[K");
@@ -221,31 +220,68 @@ class MLEnhancedTerminal {
       const contextDisplay = this.geminiService.getContextDisplay();
       process.stdout.write(contextDisplay + "\n");
 
-      // Draw prompt with cost info
+      // Draw prompt with cost info, or a flag when nothing is spent:
+      // offline, or the provider is down
       const usageStats = this.geminiService.getUsageStats();
-      const costInfo = chalk.gray(`[$${usageStats.estimatedCost}]`);
+      const costInfo = config.OFFLINE_MODE
+        ? chalk.yellow("[offline]")
+        : this.geminiService.isDegraded()
+        ? chalk.red("[degraded]")
+        : chalk.gray(`[$${usageStats.estimatedCost}]`);
       process.stdout.write(chalk.cyan("🤖 ML Terminal > ") + costInfo + " ");
 
       // Draw input
       process.stdout.write(this.currentInput);
 
-      // Draw current suggestion if available
-      if (
-        this.suggestions.length > 0 &&
-        this.selectedSuggestionIndex < this.suggestions.length
-      ) {
-        const currentSuggestion =
-          this.suggestions[this.selectedSuggestionIndex];
-        const remainingSuggestion = currentSuggestion.command.substring(
-          this.currentInput.length
-        );
-        if (remainingSuggestion) {
+      // Draw current suggestion if available, in red when it is high risk
+      // by our rules or by the model's own rating
+      const selected = this.suggestions[this.selectedSuggestionIndex];
+      const risk =
+        selected && selected.risk === "high"
+          ? "high"
+          : this.riskClassifier.classify(
+              selected ? selected.command : this.currentInput.trim()
+            ).level;
+      if (selected) {
+        // Typing `why` mustn't replace the suggestion it asks about
+        const typed = this.currentInput.trim();
+        if (typed === "" || !"why".startsWith(typed)) {
+          this.lastShown = { input: this.currentInput, suggestion: selected };
+        }
+
+        if (selected.command.startsWith(this.currentInput)) {
+          const remainingSuggestion = selected.command.substring(
+            this.currentInput.length
+          );
           const sourceColor =
-            currentSuggestion.source === "ML" ? chalk.blue : chalk.magenta;
+            risk === "high"
+              ? chalk.red
+              : selected.source === "ML"
+              ? chalk.blue
+              : chalk.magenta;
           process.stdout.write(sourceColor(remainingSuggestion));
+        } else {
+          // Doesn't continue the input, so accepting it replaces the line
+          process.stdout.write(
+            chalk.yellow(` → ${selected.command}`) +
+              (selected.type === "correction"
+                ? chalk.gray(" (did you mean?)")
+                : "")
+          );
         }
       }
 
+      if (risk === "high") {
+        process.stdout.write(chalk.red(" ⚠ high risk"));
+      } else if (risk === "medium") {
+        process.stdout.write(chalk.yellow(" ⚠"));
+      }
+
+      // What the model said the suggestion does
+      if (selected && selected.explanation) {
+        process.stdout.write(chalk.gray(` — ${selected.explanation}`));
+      }
+
       // Draw processing indicator
       if (this.isProcessing) {
         process.stdout.write(chalk.gray(" 🤔"));
@@ -270,7 +306,7 @@ class MLEnhancedTerminal {
     }
   }
 
-  executeCommand() {
+  async executeCommand() {
     const command = this.currentInput.trim();
 
     if (command === "") {
@@ -318,19 +354,94 @@ class MLEnhancedTerminal {
       return;
     }
 
-    // Add command to recent history
+    if (command.toLowerCase() === "why") {
+      this.showWhy();
+      this.resetInput();
+      return;
+    }
+
+    if (command.split(/\s+/)[0] === "import-history") {
+      const args = splitWords(command, { env: this.session.env }).slice(1);
+      await this.importShellHistory(args);
+      this.resetInput();
+      return;
+    }
+
+    if (command.split(/\s+/)[0] === "ml-export") {
+      const args = splitWords(command, { env: this.session.env }).slice(1);
+      await this.exportModel(args[0]);
+      this.resetInput();
+      return;
+    }
+
+    if (command.split(/\s+/)[0] === "ml-import") {
+      const args = splitWords(command, { env: this.session.env }).slice(1);
+      await this.importModel(args);
+      this.resetInput();
+      return;
+    }
+
+    if (await handleAssistantCommand(this, command)) {
+      return;
+    }
+
+    if (!(await confirmRisk(this, command))) {
+      this.resetInput();
+      return;
+    }
+
+    // Add command to recent history; requests to the assistant and
+    // declined commands never ran, so they aren't part of it
     this.addRecentCommand(command);
 
-    // Learn from user action
-    this.mlEngine.learnFromUserAction(this.currentInput, command, true);
+    // Stop pending suggestion work from drawing over the command output
+    this.cancelSuggestion();
+
+    process.stdout.write("\n");
+    const cwd = this.session.cwd;
+    const result = await this.session.run(command);
+    this.history.add({
+      command,
+      cwd,
+      exitCode: result.exitCode,
+      duration: result.duration,
+    });
+    this.history.resetNavigation();
+    if (!result.builtin) {
+      console.log(this.commandExecutor.formatSummary(result));
+    }
 
-    // Execute command (demo mode)
-    console.log(chalk.green(`\n✅ Executed: ${command}`));
-    console.log(
-      chalk.gray("(This is a demo - commands are not actually executed)")
+    // Branches, containers or scripts may have changed
+    this.completionProvider.invalidate();
+
+    // The command may have changed directory, branch or files
+    await this.geminiService.updateContext();
+
+    // Learn from user action, using the real outcome; for an accepted fix
+    // that is whether the fix worked for the command that failed
+    const fix =
+      this.acceptedFix && this.acceptedFix.command === command
+        ? this.acceptedFix
+        : null;
+    this.pendingFix = null;
+    this.acceptedFix = null;
+    this.mlEngine.learnFromUserAction(
+      fix ? fix.failed : this.currentInput,
+      command,
+      result.exitCode === 0,
+      { cwd }
     );
+    this.mlEngine.recordCommand({
+      command,
+      cwd,
+      exitCode: result.exitCode,
+      timestamp: Date.now(),
+    });
+    this.lastExitCode = result.exitCode;
 
     this.resetInput();
+    this.requestSuggestion();
+    this.suggestFix(result);
   }
 
   addRecentCommand(command) {
@@ -343,10 +454,36 @@ class MLEnhancedTerminal {
     }
   }
 
-  resetInput() {
-    this.currentInput = "";
-    this.cursorPosition = 0;
-    this.suggestions = [];
+  loadRecentCommands() {
+    this.recentCommands = this.history.getRecentCommands(
+      this.maxRecentCommands
+    );
+    // Seed the suggestion context from persistent history, oldest first
+    // since addRecentCommand puts each command on top
+    this.history
+      .getRecentCommands(10)
+      .reverse()
+      .forEach((command) => this.geminiService.addRecentCommand(command));
+  }
+
+  // After a failed command, offer a corrected one ahead of the
+  // predictions; → takes it, and running it teaches the engine
+  async suggestFix(result) {
+    const fix = await announceFix(this, result);
+    if (!fix) return;
+
+    this.pendingFix = { failed: result.command, command: fix.command };
+    this.suggestions = [
+      {
+        command: fix.command,
+        type: "fix",
+        category: "fix",
+        score: 1,
+        source: "FIX",
+        origin: fix.source,
+      },
+      ...this.suggestions.filter((s) => s.command !== fix.command),
+    ];
     this.selectedSuggestionIndex = 0;
     this.redraw();
   }
@@ -363,6 +500,8 @@ class MLEnhancedTerminal {
     console.log(chalk.yellow("Cache Hit Rate:"), `${stats.cacheHitRate}%`);
     console.log(chalk.yellow("Estimated Cost:"), `$${stats.estimatedCost}`);
     console.log(chalk.yellow("Cache Hits:"), stats.cachedHits);
+    const keyPool = this.geminiService.getKeyPoolDisplay();
+    if (keyPool) console.log(keyPool);
     console.log(chalk.gray("\n💡 Tips:"));
     console.log(chalk.gray('• Use "ml-stats" to see ML learning stats'));
     console.log(chalk.gray('• Use "suggestions" to see current suggestions'));
@@ -394,11 +533,135 @@ class MLEnhancedTerminal {
       });
     }
 
+    console.log(
+      chalk.yellow("Model File:"),
+      this.mlEngine.modelStore.modelFile
+    );
+
     console.log(
       chalk.gray("\n💡 The ML engine learns from your command patterns!")
     );
   }
 
+  async importShellHistory(args) {
+    const dryRun = args.includes("--dry-run") || args.includes("-n");
+    const selection = args.filter((arg) => !arg.startsWith("-"));
+
+    console.log(
+      chalk.cyan(
+        dryRun ? "\n📥 History Import (dry run)" : "\n📥 History Import"
+      )
+    );
+    console.log(chalk.gray("=================="));
+
+    const { sources, entries, totalParsed } =
+      await this.historyImporter.collect(selection);
+
+    sources.forEach((source) => {
+      const label = (source.format || "?").padEnd(5);
+      if (source.error) {
+        const reason =
+          source.error.code === "ENOENT" ? "not found" : source.error.message;
+        console.log(chalk.gray(`  ${label} ${source.file} - ${reason}`));
+      } else {
+        console.log(
+          `  ${chalk.yellow(label)} ${source.file} - ${
+            source.entries.length
+          } commands`
+        );
+      }
+    });
+
+    console.log(chalk.yellow("Commands Parsed:"), totalParsed);
+    console.log(chalk.yellow("After Dedupe:"), entries.length);
+
+    if (entries.length === 0) {
+      console.log(chalk.gray("\nNothing to import."));
+      return;
+    }
+
+    const timestamps = entries
+      .map((entry) => entry.timestamp)
+      .filter((timestamp) => timestamp);
+    if (timestamps.length > 0) {
+      const from = new Date(Math.min(...timestamps)).toLocaleDateString();
+      const to = new Date(Math.max(...timestamps)).toLocaleDateString();
+      console.log(chalk.yellow("Date Range:"), `${from} - ${to}`);
+    }
+
+    const counts = new Map();
+    entries.forEach((entry) => {
+      counts.set(entry.command, (counts.get(entry.command) || 0) + 1);
+    });
+    const topCommands = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5);
+    console.log(chalk.yellow("\nTop Commands:"));
+    topCommands.forEach(([cmd, count]) => {
+      console.log(chalk.gray(`  ${count}× ${cmd}`));
+    });
+
+    if (dryRun) {
+      console.log(
+        chalk.gray('\n💡 Run "import-history" without --dry-run to import')
+      );
+      return;
+    }
+
+    await this.mlEngine.importHistory(entries);
+
+    // Oldest first, since addRecentCommand puts each command on top
+    entries.slice(-this.maxRecentCommands).forEach((entry) => {
+      this.addRecentCommand(entry.command);
+      this.geminiService.addRecentCommand(entry.command);
+    });
+
+    console.log(
+      chalk.green(`\n✅ Imported ${entries.length} commands into the ML engine`)
+    );
+  }
+
+  async exportModel(target) {
+    const filePath = path.resolve(
+      this.session.cwd,
+      target || "ml-model-export.json"
+    );
+
+    try {
+      await this.mlEngine.exportModel(filePath);
+      console.log(chalk.green(`\n✅ Exported ML model to ${filePath}`));
+      console.log(
+        chalk.gray('💡 Teammates can load it with "ml-import <file>"')
+      );
+    } catch (error) {
+      console.log(chalk.red(`\n❌ Export failed: ${error.message}`));
+    }
+  }
+
+  async importModel(args) {
+    const replace = args.includes("--replace");
+    const target = args.find((arg) => !arg.startsWith("-"));
+    if (!target) {
+      console.log(chalk.red("\nUsage: ml-import [--replace] <file>"));
+      return;
+    }
+
+    const filePath = path.resolve(this.session.cwd, target);
+    try {
+      const model = await this.mlEngine.importModel(filePath, { replace });
+      const inputCount = Object.keys(model.behaviorModel || {}).length;
+      console.log(
+        chalk.green(
+          `\n✅ ${
+            replace ? "Replaced model with" : "Merged"
+          } ${inputCount} learned inputs from ${filePath}`
+        )
+      );
+    } catch (error) {
+      console.log(chalk.red(`\n❌ Import failed: ${error.message}`));
+    }
+  }
+
   showSuggestions() {
     if (this.suggestions.length === 0) {
       console.log(
@@ -418,32 +681,145 @@ class MLEnhancedTerminal {
       const sourceColor =
         suggestion.source === "ML" ? chalk.blue : chalk.magenta;
       const score = chalk.gray(`(${(suggestion.score * 100).toFixed(0)}%)`);
+      const frecency = suggestion.frecency
+        ? chalk.gray(
+            ` frecency ${suggestion.frecency.global.toFixed(1)}` +
+              (suggestion.frecency.directory > 0
+                ? ` (here ${suggestion.frecency.directory.toFixed(1)})`
+                : "") +
+              (suggestion.frecency.failures > 0
+                ? ` ${suggestion.frecency.failures} failed`
+                : "")
+          )
+        : "";
+      const fixes = suggestion.corrections
+        ? chalk.yellow(
+            ` fixes ${suggestion.corrections
+              .map(({ from, to }) => `${from} → ${to}`)
+              .join(", ")}`
+          )
+        : "";
 
       console.log(
         `${prefix}${suggestion.command} ${sourceColor(
           `[${suggestion.source}]`
-        )} ${score}`
+        )} ${score}${frecency}${fixes}`
       );
     });
 
     console.log(chalk.gray("\n💡 Use Tab to cycle through suggestions"));
   }
 
+  // Where the last suggestion shown came from and how its score was made
+  // up; for a model's suggestion, the exchange that produced it
+  showWhy() {
+    if (!this.lastShown) {
+      console.log(
+        chalk.gray("\nNo suggestion shown yet. Start typing to see one!")
+      );
+      return;
+    }
+
+    const { input, suggestion } = this.lastShown;
+    console.log(chalk.cyan(`\n🔍 Why "${suggestion.command}"`));
+    console.log(chalk.gray("====================="));
+    if (input.trim()) console.log(`  Input:  ${input}`);
+
+    if (suggestion.source === "ML") {
+      const basis = SUGGESTION_TYPES[suggestion.type] || suggestion.type;
+      console.log(`  Source: ML, from ${basis} (${suggestion.category})`);
+    } else if (suggestion.source === "FIX") {
+      console.log(
+        suggestion.origin === "ai"
+          ? "  Source: a fix the model proposed for the failed command"
+          : "  Source: a built-in fix rule for the failed command"
+      );
+    } else {
+      const confidence =
+        suggestion.confidence !== null && suggestion.confidence !== undefined
+          ? `, confidence ${(suggestion.confidence * 100).toFixed(0)}%`
+          : "";
+      console.log(
+        `  Source: AI, reply #${
+          suggestion.rank + 1
+        } from the model${confidence}`
+      );
+    }
+
+    console.log(`  Score:  ${(suggestion.score * 100).toFixed(0)}%`);
+    if (suggestion.scoreComponents) {
+      Object.entries(suggestion.scoreComponents).forEach(([name, value]) => {
+        if (name !== "base" && value === 0) return;
+        const sign = name !== "base" && value > 0 ? "+" : "";
+        console.log(
+          chalk.gray(`    ${name.padEnd(12)} ${sign}${value.toFixed(2)}`)
+        );
+      });
+    }
+
+    if (suggestion.source === "ML" || suggestion.origin === "rule") return;
+
+    const exchange = this.geminiService.findExchange(suggestion.command);
+    if (!exchange) {
+      console.log(
+        chalk.gray(
+          "  No model request this session produced it (cached, or matched locally)"
+        )
+      );
+      return;
+    }
+
+    const tokens = exchange.tokens
+      ? `, ${exchange.tokens.total} tokens (${exchange.tokens.prompt} prompt)`
+      : "";
+    const key =
+      exchange.keyIndex !== null ? `, key #${exchange.keyIndex + 1}` : "";
+    console.log(
+      `  Request: ${exchange.provider}` +
+        (exchange.model ? ` (${exchange.model})` : "") +
+        `, ${exchange.latencyMs} ms${tokens}${key}`
+    );
+    console.log("  Prompt:");
+    console.log(
+      chalk.gray(
+        exchange.prompt
+          .split("\n")
+          .map((line) => `    ${line}`)
+          .join("\n")
+      )
+    );
+  }
+
   showHelp() {
     console.log(chalk.cyan("\n🤖 ML-Enhanced AI Terminal - Help"));
     console.log(chalk.gray("=================================="));
     console.log(chalk.yellow("Commands:"));
     console.log("  help         - Show this help message");
     console.log("  clear        - Clear the terminal");
+    console.log("  explain      - What each part of a command does");
+    console.log("  # <task>     - Describe a command in plain words (or ?)");
     console.log("  stats        - Show usage statistics");
     console.log("  ml-stats     - Show ML learning statistics");
     console.log("  suggestions  - Show current suggestions");
+    console.log("  why          - Where the last suggestion came from");
+    console.log(
+      "  import-history [--dry-run] [bash|zsh|fish|file] - Learn from shell history"
+    );
+    console.log("  ml-export [file] - Save the learned model to share it");
+    console.log("  ml-import [--replace] <file> - Load a shared model");
+    console.log(
+      "  cd, pushd, popd, dirs - Change and stack the working directory"
+    );
+    console.log("  export, unset - Set or remove environment variables");
+    console.log("  alias, unalias - Define or remove command aliases");
     console.log("  exit         - Exit the application");
     console.log("  quit         - Exit the application");
     console.log(chalk.yellow("\nNavigation:"));
-    console.log("  Tab          - Cycle through suggestions");
-    console.log("  ↑ ↓          - Navigate suggestions");
-    console.log("  ← →          - Move cursor left/right");
+    console.log("  Tab          - Complete command/path, or cycle suggestions");
+    console.log("  Shift+Tab    - Cycle suggestions backwards");
+    console.log("  ↑ ↓          - Browse command history");
+    console.log("  Ctrl+R       - Search command history");
+    console.log("  ← →          - Move cursor (→ at end accepts suggestion)");
     console.log("  Backspace    - Delete character");
     console.log("  Enter        - Execute command");
     console.log("  Ctrl+C       - Force exit");
@@ -453,15 +829,10 @@ class MLEnhancedTerminal {
     console.log("  • Context-aware suggestions");
     console.log("  • Learning from your command history");
     console.log("  • Multiple suggestion sources (ML + AI)");
+    console.log("  • Next-command predictions on an empty prompt");
     console.log(chalk.gray("\nStart typing to see ML-powered suggestions!"));
   }
 
-  cleanup() {
-    cliCursor.show();
-    process.stdin.setRawMode(false);
-    process.stdin.pause();
-  }
-
   start() {
     try {
       cliCursor.hide();
@@ -470,6 +841,7 @@ class MLEnhancedTerminal {
         chalk.gray('Type "help" for commands, "ml-stats" for learning info.\n')
       );
       this.redraw();
+      this.geminiService.updateContext().then(() => this.redraw());
     } catch (error) {
       cliCursor.show();
       process.exit(1);
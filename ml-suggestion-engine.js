@@ -3,6 +3,12 @@ const { exec } = require("child_process");
 const { promisify } = require("util");
 const fs = require("fs").promises;
 const path = require("path");
+const ModelStore = require("./model-store");
+const SequenceModel = require("./sequence-model");
+const FrecencyIndex = require("./frecency");
+const FuzzyMatcher = require("./fuzzy-matcher");
+const SpecCompleter = require("./spec-completer");
+const SecretRedactor = require("./secret-redactor");
 
 const execAsync = promisify(exec);
 
@@ -12,11 +18,214 @@ class MLSuggestionEngine {
     this.tfidf = new natural.TfIdf();
     this.commandPatterns = new Map();
     this.userBehaviorModel = new Map();
+    this.historicalBehavior = null;
+    this.sequenceModel = new SequenceModel();
+    this.sequenceWeight = 0.2;
+    this.frecency = new FrecencyIndex();
+    this.frecencyWeight = 0.3;
+    this.fuzzyMatcher = new FuzzyMatcher();
+    this.specCompleter = new SpecCompleter();
+    this.redactor = new SecretRedactor();
     this.similarityThreshold = 0.7;
     this.maxSuggestions = 5;
+    this.maxActionsPerInput = 100;
+    this.modelStore = new ModelStore();
+    this.saveTimeout = null;
+    this.saveDelay = 1000;
 
     // Initialize command patterns
     this.initializeCommandPatterns();
+
+    this.fuzzyMatcher.loadExecutables();
+
+    // Pick up what was learned in previous sessions
+    this.ready = this.loadModel();
+  }
+
+  async loadModel() {
+    const model = await this.modelStore.load();
+    if (model) {
+      this.restoreModel(model);
+    }
+  }
+
+  serializeModel() {
+    const behaviorModel = {};
+    this.userBehaviorModel.forEach((actions, input) => {
+      behaviorModel[input] = actions;
+    });
+
+    return {
+      behaviorModel,
+      historicalBehavior: this.historicalBehavior
+        ? {
+            preferredTools: Array.from(
+              this.historicalBehavior.preferredTools.entries()
+            ),
+            commandFrequency: Array.from(
+              this.historicalBehavior.commandFrequency.entries()
+            ),
+          }
+        : null,
+      sequenceModel: this.sequenceModel.toJSON(),
+      frecency: this.frecency.toJSON(),
+    };
+  }
+
+  /**
+   * Loads a saved model into the engine. By default it is merged with what
+   * is already in memory (actions are de-duplicated and capped per input);
+   * `replace` discards the current model first.
+   */
+  restoreModel(model, options = {}) {
+    if (options.replace) {
+      this.userBehaviorModel.clear();
+      this.historicalBehavior = null;
+      this.sequenceModel.reset();
+      this.frecency.reset();
+    }
+
+    Object.entries(model.behaviorModel || {}).forEach(([input, actions]) => {
+      const seen = new Set();
+      const merged = [...(this.userBehaviorModel.get(input) || []), ...actions]
+        .filter((action) => {
+          const key = `${action.timestamp}\u0000${action.executed}`;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-this.maxActionsPerInput);
+      this.userBehaviorModel.set(input, merged);
+    });
+
+    if (model.historicalBehavior) {
+      const restored = {
+        preferredTools: new Map(model.historicalBehavior.preferredTools),
+        workflowPatterns: [],
+        commandFrequency: new Map(model.historicalBehavior.commandFrequency),
+        timePatterns: new Map(),
+      };
+      this.historicalBehavior = this.historicalBehavior
+        ? this.mergeBehavior(this.historicalBehavior, restored)
+        : restored;
+    }
+
+    if (model.sequenceModel) {
+      this.sequenceModel.merge(model.sequenceModel);
+    }
+
+    if (model.frecency) {
+      this.frecency.merge(model.frecency);
+    } else {
+      // Older models: replay the saved actions, oldest first
+      const actions = [];
+      Object.values(model.behaviorModel || {}).forEach((list) =>
+        actions.push(...list)
+      );
+      actions
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach((action) => {
+          this.frecency.record(action.executed, {
+            success: action.success,
+            timestamp: action.timestamp,
+          });
+        });
+    }
+  }
+
+  // Feeds an executed command ({ command, cwd, exitCode, timestamp }) to
+  // the next-command model
+  recordCommand(entry) {
+    this.sequenceModel.observe(this.redactEntry(entry));
+    this.scheduleSave();
+  }
+
+  // The models are saved to disk, so commands reach them redacted
+  redactEntry(entry) {
+    return { ...entry, command: this.redactor.redact(entry.command) };
+  }
+
+  // Models saved before the sequence model or frecency existed start
+  // empty; train them from the terminal's persistent history instead
+  async bootstrapFromHistory(entries) {
+    await this.ready;
+    if (entries.length === 0) return;
+    entries = entries.map((entry) => this.redactEntry(entry));
+
+    if (this.sequenceModel.isEmpty()) {
+      this.sequenceModel.train(entries);
+      this.scheduleSave();
+    }
+
+    if (this.frecency.isEmpty()) {
+      entries.forEach((entry) => {
+        this.frecency.record(entry.command, {
+          success: entry.exitCode === 0 || entry.exitCode === null,
+          timestamp: entry.timestamp,
+          cwd: entry.cwd,
+        });
+      });
+      this.scheduleSave();
+    }
+  }
+
+  // recentCommands is newest first; the sequence model wants oldest first
+  predictNextCommands(context, recentCommands, limit = 5) {
+    return this.sequenceModel.predict(
+      {
+        previous: recentCommands.slice(0, 2).reverse(),
+        cwd: context.cwd || null,
+        lastExitCode:
+          context.lastExitCode === undefined ? null : context.lastExitCode,
+      },
+      limit
+    );
+  }
+
+  // What the user will probably run next, for an empty prompt
+  getNextCommandSuggestions(context, recentCommands) {
+    const predictions = this.predictNextCommands(
+      context,
+      recentCommands,
+      this.maxSuggestions
+    );
+    if (predictions.length === 0) return [];
+
+    const best = predictions[0].probability;
+    return predictions.map((prediction) => ({
+      command: prediction.command,
+      score: (prediction.probability / best) * 0.9,
+      type: "sequence",
+      category: "workflow",
+    }));
+  }
+
+  // Learning happens on every command; batch the writes
+  scheduleSave() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+    }
+    this.saveTimeout = setTimeout(() => this.saveModel(), this.saveDelay);
+  }
+
+  async saveModel() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+    await this.modelStore.save(this.serializeModel());
+  }
+
+  async exportModel(filePath) {
+    await this.modelStore.exportTo(filePath, this.serializeModel());
+  }
+
+  async importModel(filePath, options = {}) {
+    const model = await this.modelStore.importFrom(filePath);
+    this.restoreModel(model, options);
+    await this.saveModel();
+    return model;
   }
 
   initializeCommandPatterns() {
@@ -160,6 +369,54 @@ class MLSuggestionEngine {
     return behavior;
   }
 
+  // Combines a baseline (e.g. imported shell history) with live behavior
+  mergeBehavior(baseline, current) {
+    const merged = {
+      preferredTools: new Map(baseline.preferredTools),
+      workflowPatterns: [
+        ...current.workflowPatterns,
+        ...baseline.workflowPatterns,
+      ],
+      commandFrequency: new Map(baseline.commandFrequency),
+      timePatterns: new Map(baseline.timePatterns),
+    };
+
+    current.preferredTools.forEach((usage, tool) => {
+      merged.preferredTools.set(
+        tool,
+        (merged.preferredTools.get(tool) || 0) + usage
+      );
+    });
+    current.commandFrequency.forEach((count, cmd) => {
+      merged.commandFrequency.set(
+        cmd,
+        (merged.commandFrequency.get(cmd) || 0) + count
+      );
+    });
+
+    return merged;
+  }
+
+  /**
+   * Bootstraps learning from entries ({ command, timestamp }) found in
+   * existing shell history, oldest first. Imported commands have no exit
+   * status, so they are recorded as successful.
+   */
+  async importHistory(entries) {
+    entries = entries.map((entry) => this.redactEntry(entry));
+    entries.forEach((entry) => {
+      this.learnFromUserAction(entry.command, entry.command, true, {
+        timestamp: entry.timestamp || Date.now(),
+      });
+    });
+    this.sequenceModel.train(entries);
+
+    // analyzeUserBehavior expects newest first, like recentCommands
+    this.historicalBehavior = await this.analyzeUserBehavior(
+      entries.map((entry) => entry.command).reverse()
+    );
+  }
+
   calculateSimilarity(input, pattern) {
     const inputTokens = this.tokenizer.tokenize(input.toLowerCase());
     const patternTokens = this.tokenizer.tokenize(pattern.toLowerCase());
@@ -175,7 +432,23 @@ class MLSuggestionEngine {
 
   async getContextualSuggestions(userInput, context, recentCommands) {
     const suggestions = [];
-    const userBehavior = await this.analyzeUserBehavior(recentCommands);
+    const recentBehavior = await this.analyzeUserBehavior(recentCommands);
+    const userBehavior = this.historicalBehavior
+      ? this.mergeBehavior(this.historicalBehavior, recentBehavior)
+      : recentBehavior;
+
+    // Likely next commands, relative to the best one, for ranking
+    const predictions = this.predictNextCommands(context, recentCommands, 20);
+    userBehavior.nextCommandScores = new Map();
+    if (predictions.length > 0) {
+      const best = predictions[0].probability;
+      predictions.forEach((prediction) => {
+        userBehavior.nextCommandScores.set(
+          prediction.command,
+          prediction.probability / best
+        );
+      });
+    }
 
     // 1. Pattern-based suggestions
     const patternSuggestions = this.getPatternBasedSuggestions(
@@ -199,7 +472,42 @@ class MLSuggestionEngine {
     );
     suggestions.push(...semanticSuggestions);
 
-    // 4. File-based suggestions
+    // 4. Sequence-model suggestions that continue the current input
+    const input = userInput.trim().toLowerCase();
+    userBehavior.nextCommandScores.forEach((relative, command) => {
+      if (
+        command.toLowerCase().startsWith(input) &&
+        command.toLowerCase() !== input
+      ) {
+        suggestions.push({
+          command,
+          score: relative * 0.8,
+          type: "sequence",
+          category: "workflow",
+        });
+      }
+    });
+
+    // 5. Subcommands and flags from completion specs
+    this.specCompleter
+      .completeLine(userInput)
+      .slice(0, this.maxSuggestions)
+      .forEach((command, index) => {
+        suggestions.push({
+          command,
+          score: 0.75 - index * 0.05,
+          type: "spec",
+          category: "completion",
+        });
+      });
+
+    // 6. Typo corrections ("gti stauts" -> "git status")
+    const correction = this.getCorrectionSuggestion(userInput, context);
+    if (correction) {
+      suggestions.push(correction);
+    }
+
+    // 7. File-based suggestions
     const fileSuggestions = await this.getFileBasedSuggestions(
       userInput,
       context
@@ -211,12 +519,52 @@ class MLSuggestionEngine {
     const rankedSuggestions = this.rankSuggestions(
       uniqueSuggestions,
       userInput,
-      userBehavior
+      userBehavior,
+      context
     );
 
     return rankedSuggestions.slice(0, this.maxSuggestions);
   }
 
+  // Every full command line the engine has seen or ships patterns for
+  getKnownCommands() {
+    const commands = new Set();
+    this.commandPatterns.forEach((patternData) => {
+      patternData.patterns.forEach((pattern) => {
+        commands.add(pattern.input);
+        pattern.next.forEach((nextCmd) => commands.add(nextCmd));
+      });
+    });
+    this.userBehaviorModel.forEach((actions) => {
+      actions.forEach((action) => commands.add(action.executed));
+    });
+    this.frecency.global.forEach((entry, command) => commands.add(command));
+    this.specCompleter
+      .getCommandLines()
+      .forEach((command) => commands.add(command));
+    return Array.from(commands);
+  }
+
+  getCorrectionSuggestion(userInput, context = {}) {
+    const correction = this.fuzzyMatcher.correct(userInput, {
+      commands: this.getKnownCommands(),
+      names: context.commandNames || [],
+    });
+    if (!correction) return null;
+
+    const distance = correction.corrections.reduce(
+      (sum, fix) => sum + fix.distance,
+      0
+    );
+    return {
+      command: correction.command,
+      score: Math.max(0.5, 0.9 - 0.1 * distance),
+      type: "correction",
+      category: "typo",
+      corrections: correction.corrections,
+    };
+  }
+
   getPatternBasedSuggestions(userInput, userBehavior) {
     const suggestions = [];
 
@@ -399,10 +747,26 @@ class MLSuggestionEngine {
     });
   }
 
-  rankSuggestions(suggestions, userInput, userBehavior) {
+  // A suggestion's score is the sum of its `scoreComponents`, capped at 1:
+  // the score its source gave it plus the boosts and penalties below
+  rankSuggestions(suggestions, userInput, userBehavior, context = {}) {
     return suggestions
       .map((suggestion) => {
-        let score = suggestion.score;
+        const components = {
+          base: suggestion.score,
+          frecency: 0,
+          preferences: 0,
+          recentUse: 0,
+          sequence: 0,
+          length: 0,
+        };
+
+        // Boost full command lines used often and recently, here and overall
+        const frecency = this.frecency.getScore(
+          suggestion.command,
+          context.cwd
+        );
+        components.frecency = this.frecencyWeight * frecency.combined;
 
         // Boost based on user preferences
         const preferredTools = Array.from(
@@ -413,7 +777,7 @@ class MLSuggestionEngine {
             suggestion.command.includes(tool) ||
             (tool === "nodejs" && suggestion.command.includes("npm"))
           ) {
-            score += 0.1 * Math.min(usage / 10, 1); // Cap the boost
+            components.preferences += 0.1 * Math.min(usage / 10, 1); // Cap the boost
           }
         });
 
@@ -421,26 +785,55 @@ class MLSuggestionEngine {
         if (
           userBehavior.commandFrequency.has(suggestion.command.split(" ")[0])
         ) {
-          score += 0.05;
+          components.recentUse = 0.05;
+        }
+
+        // Boost what the sequence model expects to come next
+        if (
+          userBehavior.nextCommandScores &&
+          userBehavior.nextCommandScores.has(suggestion.command)
+        ) {
+          components.sequence =
+            this.sequenceWeight *
+            userBehavior.nextCommandScores.get(suggestion.command);
         }
 
         // Penalize very long commands
         if (suggestion.command.length > 50) {
-          score -= 0.1;
+          components.length = -0.1;
         }
 
-        return { ...suggestion, score: Math.min(score, 1.0) };
+        const score = Object.values(components).reduce(
+          (sum, value) => sum + value,
+          0
+        );
+        return {
+          ...suggestion,
+          score: Math.min(score, 1.0),
+          frecency,
+          scoreComponents: components,
+        };
       })
       .sort((a, b) => b.score - a.score);
   }
 
-  async learnFromUserAction(userInput, executedCommand, success = true) {
+  async learnFromUserAction(
+    userInput,
+    executedCommand,
+    success = true,
+    details = {}
+  ) {
+    const timestamp = details.timestamp || Date.now();
+    // The model is saved to disk; secrets must not be
+    userInput = this.redactor.redact(userInput);
+    executedCommand = this.redactor.redact(executedCommand);
+
     // Store user action for future learning
     const action = {
       input: userInput,
       executed: executedCommand,
       success: success,
-      timestamp: Date.now(),
+      timestamp: timestamp,
     };
 
     // Update user behavior model
@@ -449,11 +842,23 @@ class MLSuggestionEngine {
     }
     this.userBehaviorModel.get(userInput).push(action);
 
-    // Keep only recent actions (last 100)
+    // Keep only recent actions
     const actions = this.userBehaviorModel.get(userInput);
-    if (actions.length > 100) {
-      this.userBehaviorModel.set(userInput, actions.slice(-100));
+    if (actions.length > this.maxActionsPerInput) {
+      this.userBehaviorModel.set(
+        userInput,
+        actions.slice(-this.maxActionsPerInput)
+      );
     }
+
+    // Failed commands lose frecency instead of gaining it
+    this.frecency.record(executedCommand, {
+      success,
+      timestamp,
+      cwd: details.cwd || null,
+    });
+
+    this.scheduleSave();
   }
 
   getLearningStats() {
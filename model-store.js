@@ -0,0 +1,114 @@
+const fs = require("fs").promises;
+const path = require("path");
+const config = require("./config");
+
+const MODEL_FORMAT = "gemini-terminal-ml-model";
+const MODEL_VERSION = 3;
+
+// Upgrades a model one version at a time, keyed by the version it upgrades
+// from. Bump MODEL_VERSION and add an entry here whenever the saved shape
+// changes; old files are then migrated on load or import.
+const MIGRATIONS = {
+  // v2 adds the next-command sequence model; it is rebuilt from history
+  1: (model) => ({ ...model, sequenceModel: null }),
+  // v3 adds frecency scores; they are rebuilt from the saved actions
+  2: (model) => ({ ...model, frecency: null }),
+};
+
+class ModelStore {
+  constructor(filePath) {
+    this.modelFile =
+      filePath || path.join(config.DATA_DIR, config.ML_MODEL_FILE);
+  }
+
+  migrate(data) {
+    if (!data || data.format !== MODEL_FORMAT) {
+      throw new Error("Not an ML model file");
+    }
+
+    let model = data;
+    const originalVersion = model.version;
+    if (originalVersion > MODEL_VERSION) {
+      throw new Error(
+        `Model version ${originalVersion} is newer than supported version ${MODEL_VERSION}`
+      );
+    }
+
+    while (model.version < MODEL_VERSION) {
+      const migration = MIGRATIONS[model.version];
+      if (!migration) {
+        throw new Error(`No migration from model version ${model.version}`);
+      }
+      model = { ...migration(model), version: model.version + 1 };
+    }
+
+    return { model, migrated: model.version !== originalVersion };
+  }
+
+  async readModel(filePath) {
+    const data = await fs.readFile(filePath, "utf8");
+    return this.migrate(JSON.parse(data));
+  }
+
+  // Writes to a temp file and renames it over the target, so a crash
+  // mid-write never leaves a truncated model behind
+  async writeModel(filePath, model) {
+    const data = JSON.stringify({
+      ...model,
+      format: MODEL_FORMAT,
+      version: MODEL_VERSION,
+      savedAt: new Date().toISOString(),
+    });
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const handle = await fs.open(tempFile, "w");
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempFile, filePath);
+  }
+
+  async load() {
+    try {
+      const { model, migrated } = await this.readModel(this.modelFile);
+      if (migrated) {
+        await this.save(model);
+      }
+      return model;
+    } catch (error) {
+      if (config.DEBUG_MODE && error.code !== "ENOENT") {
+        console.error("Failed to load ML model:", error.message);
+      }
+      return null;
+    }
+  }
+
+  async save(model) {
+    try {
+      await this.writeModel(this.modelFile, model);
+    } catch (error) {
+      if (config.DEBUG_MODE) {
+        console.error("Failed to save ML model:", error.message);
+      }
+    }
+  }
+
+  // Export and import surface errors to the caller, since the user asked
+  // for them explicitly
+  async exportTo(filePath, model) {
+    await this.writeModel(filePath, model);
+  }
+
+  async importFrom(filePath) {
+    const { model } = await this.readModel(filePath);
+    return model;
+  }
+}
+
+ModelStore.MODEL_VERSION = MODEL_VERSION;
+
+module.exports = ModelStore;
@@ -0,0 +1,54 @@
+const LLMProvider = require("./llm-provider");
+const config = require("./config");
+
+// A local Ollama server's native chat API; no key, nothing leaves the machine
+class OllamaProvider extends LLMProvider {
+  constructor() {
+    super({
+      name: "ollama",
+      displayName: "Ollama",
+      apiUrl: `${config.OLLAMA_API_URL.replace(/\/+$/, "")}/api/chat`,
+      model: config.OLLAMA_MODEL,
+      requiresApiKey: false,
+    });
+    this.streamFormat = "ndjson";
+  }
+
+  // `format` takes a JSON schema on Ollama 0.5 and later
+  buildRequest(prompt, apiKey, { stream = false, schema = null } = {}) {
+    const data = {
+      model: this.model,
+      messages: [{ role: "user", content: prompt }],
+      stream,
+    };
+    if (schema) data.format = schema;
+
+    return { url: this.apiUrl, data, headers: {} };
+  }
+
+  parseResponse(data) {
+    if (!data || !data.message) return null;
+
+    return this.result(
+      data.message.content,
+      this.tokenCountOf(data),
+      data.prompt_eval_count
+    );
+  }
+
+  // The last line of a stream has `done: true` and the counts
+  parseStreamEvent(event) {
+    return {
+      text: (event.message && event.message.content) || "",
+      tokenCount: event.done ? this.tokenCountOf(event) : 0,
+      promptTokens: event.done ? event.prompt_eval_count || 0 : 0,
+    };
+  }
+
+  // Ollama reports prompt and completion tokens separately
+  tokenCountOf(data) {
+    return (data.prompt_eval_count || 0) + (data.eval_count || 0);
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,64 @@
+const LLMProvider = require("./llm-provider");
+const config = require("./config");
+
+/**
+ * Any endpoint speaking the OpenAI chat completions API: OpenAI itself,
+ * self-hosted gateways, or a llama.cpp server (`llama-server`), which needs
+ * no key and serves whatever model it was started with.
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      name: "openai",
+      displayName: "OpenAI-compatible",
+      apiUrl: config.OPENAI_API_URL,
+      apiKeys: config.OPENAI_API_KEYS,
+      model: config.OPENAI_MODEL,
+      keyVariable: "OPENAI_API_KEYS",
+      ...options,
+    });
+  }
+
+  buildRequest(prompt, apiKey, { stream = false, schema = null } = {}) {
+    const data = {
+      messages: [{ role: "user", content: prompt }],
+      stream,
+    };
+    if (this.model) data.model = this.model;
+    if (schema) {
+      data.response_format = {
+        type: "json_schema",
+        json_schema: { name: "reply", schema, strict: true },
+      };
+    }
+
+    return {
+      url: this.apiUrl,
+      data,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    };
+  }
+
+  parseResponse(data) {
+    const choice = data && data.choices && data.choices[0];
+    if (!choice || !choice.message) return null;
+
+    return this.result(
+      choice.message.content,
+      data.usage?.total_tokens,
+      data.usage?.prompt_tokens
+    );
+  }
+
+  // Chunks carry `delta`s; some servers add usage to the last one
+  parseStreamEvent(event) {
+    const choice = event.choices && event.choices[0];
+    return {
+      text: (choice && choice.delta && choice.delta.content) || "",
+      tokenCount: event.usage?.total_tokens || 0,
+      promptTokens: event.usage?.prompt_tokens || 0,
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,210 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const config = require("./config");
+
+// Parts of the context a policy can keep out of prompts
+const CONTEXT_FIELDS = [
+  "directory",
+  "git",
+  "node",
+  "files",
+  "recentCommands",
+  "stderr",
+];
+
+// "~/clients/*" -> /^\/home\/me\/clients\/[^/]*$/; "**" crosses directories
+function globToRegExp(glob, baseDirectory) {
+  const expanded = glob.replace(/^~(?=\/|$)/, os.homedir());
+  const absolute = path.resolve(baseDirectory, expanded);
+  const source = absolute
+    .split(/(\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+// Until a directory's policy files have been read, nothing leaves from it
+function pendingPolicy() {
+  return {
+    remoteSuggestions: false,
+    localOnly: true,
+    exclude: [...CONTEXT_FIELDS],
+    sources: [],
+    pending: true,
+  };
+}
+
+// The directory itself, then each parent up to the root
+function ancestors(directory) {
+  const list = [];
+  let current = path.resolve(directory);
+  for (;;) {
+    list.push(current);
+    const parent = path.dirname(current);
+    if (parent === current) return list;
+    current = parent;
+  }
+}
+
+/**
+ * Decides what may leave the machine from a directory. Policies come from
+ * PRIVACY_POLICY_FILE and from the nearest PRIVACY_DOTFILE at or above
+ * the directory (one per repo), both shaped like:
+ *
+ *   {
+ *     "remoteSuggestions": false,   // no ghost-text requests to a remote API
+ *     "localOnly": true,            // no requests to a remote API at all
+ *     "exclude": ["git", "files"],  // context left out of every prompt
+ *     "zones": [{ "path": "~/clients/*", "localOnly": true }]
+ *   }
+ *
+ * A zone applies in directories its glob matches and below them; relative
+ * globs are relative to the file. Settings only ever add restrictions, so
+ * a repo can't loosen what the global file sets.
+ *
+ * Policies are cached per directory and the files behind them re-read in
+ * the background when their mtime changes, checked at most every
+ * PRIVACY_POLICY_TTL; an edit applies within that time. Until a
+ * directory's files have been read once, its policy keeps everything
+ * local.
+ */
+class PrivacyPolicy {
+  constructor() {
+    this.globalFile = config.PRIVACY_POLICY_FILE;
+    this.dotfile = config.PRIVACY_DOTFILE;
+    this.policies = new Map(); // directory -> { policy, checkedAt }
+    this.files = new Map(); // file -> { mtimeMs, rules }
+    this.loading = new Map(); // directory -> Promise of its policy
+  }
+
+  /**
+   * The policy for `directory` as { remoteSuggestions, localOnly,
+   * exclude, sources }, where `sources` names the files and zones that
+   * restricted it. Returns the cached policy, starting a reload when it is
+   * stale, so it is cheap enough for every keystroke.
+   */
+  resolve(directory) {
+    const cached = this.policies.get(directory);
+    if (!cached || Date.now() - cached.checkedAt > config.PRIVACY_POLICY_TTL) {
+      this.load(directory);
+    }
+    return cached ? cached.policy : pendingPolicy();
+  }
+
+  // Reads the policy for `directory` from its files, once at a time
+  load(directory) {
+    if (!this.loading.has(directory)) {
+      this.loading.set(
+        directory,
+        this.build(directory).finally(() => this.loading.delete(directory))
+      );
+    }
+    return this.loading.get(directory);
+  }
+
+  async build(directory) {
+    const policy = {
+      remoteSuggestions: true,
+      localOnly: false,
+      exclude: [],
+      sources: [],
+    };
+
+    const files = [this.globalFile, await this.findDotfile(directory)];
+    for (const file of files.filter(Boolean)) {
+      const rules = await this.read(file);
+      if (!rules) continue;
+
+      this.restrict(policy, rules, file);
+      (Array.isArray(rules.zones) ? rules.zones : []).forEach((zone) => {
+        if (!zone || typeof zone.path !== "string") return;
+        const pattern = globToRegExp(zone.path, path.dirname(file));
+        if (ancestors(directory).some((dir) => pattern.test(dir))) {
+          this.restrict(policy, zone, `${file} (${zone.path})`);
+        }
+      });
+    }
+
+    this.policies.set(directory, { policy, checkedAt: Date.now() });
+    return policy;
+  }
+
+  async findDotfile(directory) {
+    for (const dir of ancestors(directory)) {
+      const file = path.join(dir, this.dotfile);
+      try {
+        await fs.access(file);
+        return file;
+      } catch (error) {
+        // Not in this directory; try its parent
+      }
+    }
+    return null;
+  }
+
+  // A file's rules, parsed again only when it has changed
+  async read(file) {
+    try {
+      const { mtimeMs } = await fs.stat(file);
+      const cached = this.files.get(file);
+      if (cached && cached.mtimeMs === mtimeMs) return cached.rules;
+
+      const data = JSON.parse(await fs.readFile(file, "utf8"));
+      const rules = data && typeof data === "object" ? data : null;
+      this.files.set(file, { mtimeMs, rules });
+      return rules;
+    } catch (error) {
+      this.files.delete(file);
+      if (error.code !== "ENOENT" && config.DEBUG_MODE) {
+        console.error(`Failed to read privacy policy ${file}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  restrict(policy, rules, source) {
+    let restricted = false;
+    if (rules.remoteSuggestions === false) {
+      policy.remoteSuggestions = false;
+      restricted = true;
+    }
+    if (rules.localOnly === true) {
+      policy.localOnly = true;
+      restricted = true;
+    }
+    (Array.isArray(rules.exclude) ? rules.exclude : []).forEach((field) => {
+      if (!CONTEXT_FIELDS.includes(field)) return;
+      if (!policy.exclude.includes(field)) policy.exclude.push(field);
+      restricted = true;
+    });
+    if (restricted) policy.sources.push(source);
+  }
+
+  // A copy of a ContextManager summary without the excluded fields
+  filterContext(context, policy) {
+    const filtered = { ...context };
+    policy.exclude.forEach((field) => {
+      if (field === "directory") {
+        filtered.directory = null;
+        filtered.fullPath = null;
+      } else if (field === "files") {
+        filtered.fileCount = 0;
+        filtered.files = 0;
+        filtered.directories = 0;
+      } else if (field === "recentCommands") {
+        filtered.recentCommands = [];
+      } else if (field === "git" || field === "node") {
+        filtered[field] = null;
+      }
+    });
+    return filtered;
+  }
+}
+
+module.exports = PrivacyPolicy;
@@ -0,0 +1,336 @@
+const readline = require("readline");
+const cliCursor = require("cli-cursor");
+const OptimizedGeminiService = require("./gemini-service-optimized");
+const CommandExecutor = require("./command-executor");
+const ShellSession = require("./shell-session");
+const CommandHistory = require("./command-history");
+const ReverseSearch = require("./history-search");
+const CompletionProvider = require("./completion-provider");
+const RiskClassifier = require("./risk-classifier");
+const config = require("./config");
+
+/**
+ * The line editing the raw-mode terminals share: keys, history, reverse
+ * search, Tab completion and the life of a suggestion request. Each
+ * terminal draws its own line (drawLine) and keeps its own suggestions,
+ * through requestSuggestion(), clearSuggestions(), acceptSuggestion() and
+ * takeSuggestion(); executeCommand() runs what was typed.
+ */
+class RawTerminal {
+  constructor() {
+    this.geminiService = new OptimizedGeminiService();
+    this.commandExecutor = new CommandExecutor();
+    this.session = new ShellSession(this.commandExecutor);
+    this.geminiService.setSession(this.session);
+    this.geminiService.onDegradedChange(() => this.redraw());
+    this.history = new CommandHistory();
+    this.reverseSearch = null;
+    this.completionProvider = new CompletionProvider();
+    this.riskClassifier = new RiskClassifier();
+    this.pendingConfirmation = null;
+    this.currentInput = "";
+    this.suggestionTimeout = null;
+    this.suggestionController = null;
+    this.inputRevision = 0;
+    this.isProcessing = false;
+    this.cursorPosition = 0;
+
+    // Setup readline interface
+    this.rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      prompt: "",
+    });
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    // Handle raw input for better control
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.setEncoding("utf8");
+
+    process.stdin.on("data", (key) => {
+      this.handleKeyPress(key);
+    });
+
+    // Handle process termination
+    process.on("SIGINT", () => {
+      // A running command owns Ctrl+C; it must not take the terminal down
+      if (this.commandExecutor.isRunning()) return;
+      this.cleanup();
+      process.exit(0);
+    });
+
+    process.on("SIGTERM", () => {
+      this.cleanup();
+      process.exit(0);
+    });
+  }
+
+  handleKeyPress(key) {
+    const keyCode = key.charCodeAt(0);
+
+    // A risky command waits for its answer; any key but "y" declines
+    if (this.pendingConfirmation) {
+      this.pendingConfirmation(key === "y" || key === "Y");
+      return;
+    }
+
+    // Ctrl+C
+    if (keyCode === 3) {
+      this.cleanup();
+      process.exit(0);
+    }
+
+    // Reverse-i-search captures keys until it is accepted or cancelled
+    if (this.reverseSearch) {
+      this.handleReverseSearchKey(key);
+      return;
+    }
+
+    // Ctrl+R - reverse search through history
+    if (keyCode === 18) {
+      this.reverseSearch = new ReverseSearch(this.history, this.currentInput);
+      this.redraw();
+      return;
+    }
+
+    // Enter key
+    if (keyCode === 13) {
+      this.executeCommand();
+      return;
+    }
+
+    // Backspace
+    if (keyCode === 127) {
+      this.handleBackspace();
+      return;
+    }
+
+    // Tab key - complete locally, otherwise fall back to the suggestions
+    if (keyCode === 9) {
+      this.handleTab();
+      return;
+    }
+
+    // Arrow keys
+    if (keyCode === 27 && key.length > 1) {
+      this.handleArrowKeys(key);
+      return;
+    }
+
+    // Regular character input
+    if (keyCode >= 32 && keyCode <= 126) {
+      this.addCharacter(key);
+    }
+  }
+
+  handleArrowKeys(key) {
+    if (key === "\u001b[A") {
+      // Up arrow
+      this.navigateHistory(-1);
+    } else if (key === "\u001b[B") {
+      // Down arrow
+      this.navigateHistory(1);
+    } else if (key === "\u001b[C") {
+      // Right arrow
+      if (this.cursorPosition < this.currentInput.length) {
+        this.cursorPosition++;
+        this.redraw();
+      }
+    } else if (key === "\u001b[D") {
+      // Left arrow
+      if (this.cursorPosition > 0) {
+        this.cursorPosition--;
+        this.redraw();
+      }
+    }
+  }
+
+  navigateHistory(direction) {
+    const command =
+      direction < 0
+        ? this.history.previous(this.currentInput)
+        : this.history.next(this.currentInput);
+    if (command === null) return;
+
+    this.setInput(command);
+  }
+
+  handleReverseSearchKey(key) {
+    const action = this.reverseSearch.handleKey(key);
+    if (action === "update") {
+      this.redraw();
+      return;
+    }
+
+    const search = this.reverseSearch;
+    this.reverseSearch = null;
+    this.setInput(
+      action === "cancel" ? search.originalInput : search.getResult()
+    );
+    if (action === "execute") {
+      this.executeCommand();
+    }
+  }
+
+  handleBackspace() {
+    if (this.cursorPosition > 0) {
+      this.history.resetNavigation();
+      this.currentInput =
+        this.currentInput.slice(0, this.cursorPosition - 1) +
+        this.currentInput.slice(this.cursorPosition);
+      this.cursorPosition--;
+      this.requestSuggestion();
+      this.redraw();
+    }
+  }
+
+  addCharacter(char) {
+    this.history.resetNavigation();
+    this.currentInput =
+      this.currentInput.slice(0, this.cursorPosition) +
+      char +
+      this.currentInput.slice(this.cursorPosition);
+    this.cursorPosition++;
+    this.requestSuggestion();
+    this.redraw();
+  }
+
+  // Commands and paths are completed locally and instantly; only when
+  // that adds nothing does Tab fall back to the suggestions
+  async handleTab() {
+    const input = this.currentInput;
+    const cursor = this.cursorPosition;
+    const completion = await this.completionProvider.complete(input, cursor, {
+      cwd: this.session.cwd,
+      env: this.session.env,
+      commandNames: this.session.getCommandNames(),
+    });
+
+    // Typing carried on while the directory was read
+    if (this.currentInput !== input || this.cursorPosition !== cursor) return;
+
+    if (completion && completion.insert) {
+      this.currentInput =
+        input.slice(0, cursor) + completion.insert + input.slice(cursor);
+      this.cursorPosition = cursor + completion.insert.length;
+      this.history.resetNavigation();
+      this.requestSuggestion();
+      this.redraw();
+      return;
+    }
+
+    if (this.takeSuggestion()) {
+      return;
+    }
+
+    if (completion && completion.candidates.length > 1) {
+      process.stdout.write(
+        "\n" +
+          this.completionProvider.formatCandidates(completion.candidates) +
+          "\n"
+      );
+      this.redraw();
+    }
+  }
+
+  // Every change to the input starts a new revision: the pending timer and
+  // any in-flight request belong to the old one and are dropped
+  cancelSuggestion() {
+    this.inputRevision++;
+    if (this.suggestionTimeout) {
+      clearTimeout(this.suggestionTimeout);
+      this.suggestionTimeout = null;
+    }
+    if (this.suggestionController) {
+      this.suggestionController.abort();
+      this.suggestionController = null;
+    }
+    this.isProcessing = false;
+  }
+
+  /**
+   * Once typing pauses for SUGGESTION_DELAY, calls `fetch({ input, signal,
+   * isCurrent })` for suggestions to the input as it is now. When the input
+   * changes again `signal` is aborted and isCurrent() turns false, and from
+   * then on fetch must leave the suggestions alone. Callers cancel the
+   * previous request first, with cancelSuggestion().
+   */
+  scheduleSuggestion(fetch) {
+    const input = this.currentInput;
+    const revision = this.inputRevision;
+
+    // "# ..." is a request in plain words, not a command to complete
+    if (this.geminiService.getCommandRequest(input) !== null) {
+      return;
+    }
+
+    this.suggestionTimeout = setTimeout(async () => {
+      this.suggestionTimeout = null;
+      if (input.trim().length < config.MIN_INPUT_LENGTH) {
+        this.clearSuggestions();
+        this.redraw();
+        return;
+      }
+
+      const controller = new AbortController();
+      this.suggestionController = controller;
+      this.isProcessing = true;
+      this.redraw();
+
+      // Only responses for the input as it is now may be drawn
+      const isCurrent = () => revision === this.inputRevision;
+
+      try {
+        await fetch({ input, signal: controller.signal, isCurrent });
+      } catch (error) {
+        if (!isCurrent()) return;
+        this.clearSuggestions();
+        if (config.DEBUG_MODE) {
+          console.error("Suggestion error:", error.message);
+        }
+      }
+      if (!isCurrent()) return;
+      this.suggestionController = null;
+      this.isProcessing = false;
+      this.redraw();
+    }, config.SUGGESTION_DELAY);
+  }
+
+  redraw() {
+    // The running command owns the screen until it exits, and a
+    // confirmation question until it is answered
+    if (this.commandExecutor.isRunning() || this.pendingConfirmation) return;
+
+    if (this.reverseSearch) {
+      process.stdout.write("\r\x1b[K" + this.reverseSearch.render());
+      return;
+    }
+
+    this.drawLine();
+  }
+
+  // Replaces the line, e.g. with a proposed command, dropping suggestions
+  setInput(text) {
+    this.cancelSuggestion();
+    this.currentInput = text;
+    this.cursorPosition = text.length;
+    this.clearSuggestions();
+    this.redraw();
+  }
+
+  resetInput() {
+    this.setInput("");
+  }
+
+  cleanup() {
+    cliCursor.show();
+    process.stdin.setRawMode(false);
+    process.stdin.pause();
+  }
+}
+
+module.exports = RawTerminal;
@@ -0,0 +1,298 @@
+const fs = require("fs");
+const config = require("./config");
+
+const LEVELS = ["low", "medium", "high"];
+
+// Where a command name can start: the beginning of the line, after an
+// operator, or after sudo/xargs and their options
+const COMMAND_START = String.raw`(?:^|[;&|(\x60]\s*|\bsudo\s+(?:-\S+\s+)*|\bxargs\s+(?:-\S+\s+)*)`;
+
+function command(name, rest = String.raw`(?=\s|$)`) {
+  return new RegExp(COMMAND_START + name + rest);
+}
+
+// Top-level directories whose loss breaks the system or every user's files
+const SYSTEM_DIRECTORIES =
+  "bin|boot|dev|etc|home|lib|lib64|opt|proc|root|sbin|srv|sys|usr|var|Applications|Library|System|Users";
+
+// What `rm -rf` must not be pointed at: /, a system directory, the home
+// directory, or everything here (*, ., .., .*), with or without a trailing
+// /* and quotes
+const HOME = String.raw`(?:~|\$HOME|\$\{HOME\})`;
+const WIPE_TARGET = String.raw`(["']?)(?:(?:\/(?:(?:${SYSTEM_DIRECTORIES})\/?)?|${HOME}\/?|\.\.?\/?)\*?|\*)\1(?=\s|$|[;&|])`;
+
+// SQL in a command line only runs when a database client gets it; without
+// one, "drop table" is just words (git commit -m "drop table users")
+const DATABASE_CLIENT = String.raw`(?=.*\b(?:psql|mysql|mariadb|sqlite3|sqlcmd|duckdb|clickhouse(?:-client)?|cockroach|snowsql|bq|cqlsh)\b)`;
+const KEY_STORE_CLIENT = String.raw`(?=.*\b(?:redis-cli|valkey-cli|keydb-cli|mongo|mongosh)\b)`;
+
+/**
+ * Built-in rules. `pattern` is tested against the whole command line; a
+ * rule's `risk` is "high" (confirmed before running) or "medium" (only
+ * flagged). Names are what RISK_RULES_FILE uses to replace or disable them.
+ */
+const RULES = [
+  {
+    name: "rm-everything",
+    risk: "high",
+    reason: "Deletes /, a system directory, your home or everything here",
+    pattern: command(
+      "rm",
+      String.raw`\s+(?:\S+\s+)*?(?:-\w*[rRf]\w*|--recursive|--force)\s+(?:\S+\s+)*?${WIPE_TARGET}`
+    ),
+  },
+  {
+    name: "rm-no-preserve-root",
+    risk: "high",
+    reason: "Allows deleting /",
+    pattern: /--no-preserve-root\b/,
+  },
+  {
+    name: "rm-recursive",
+    risk: "medium",
+    reason: "Deletes directories and everything in them",
+    pattern: command(
+      "rm",
+      String.raw`\s+(?:\S+\s+)*?(?:-\w*[rR]\w*|--recursive)(?=\s|$)`
+    ),
+  },
+  {
+    name: "find-delete-everything",
+    risk: "high",
+    reason: "Deletes everything below the directory",
+    // Only paths and options that don't filter come before -delete
+    pattern: command(
+      "find",
+      String.raw`(?:\s+(?!-)\S+)*(?:\s+-(?:depth|xdev|mount|[HLP]|(?:min|max)depth\s+\d+))*\s+-delete(?=\s|$|[;&|])`
+    ),
+  },
+  {
+    name: "find-delete",
+    risk: "medium",
+    reason: "Deletes every file the search finds",
+    pattern: command(
+      "find",
+      String.raw`\s.*\s(?:-delete|-exec(?:dir)?\s+(?:\S*\/)?rm)(?=\s|$|[;&|])`
+    ),
+  },
+  {
+    name: "git-force-push",
+    risk: "high",
+    reason: "Overwrites history on the remote",
+    pattern: command(
+      "git",
+      String.raw`\s+(?:-\S+\s+)*push\b.*(?:\s(?:-\w*f\w*|--force)(?=\s|$)|\s\+\S)`
+    ),
+  },
+  {
+    name: "git-force-with-lease",
+    risk: "medium",
+    reason: "Overwrites history on the remote if nobody else pushed",
+    pattern: command(
+      "git",
+      String.raw`\s+(?:-\S+\s+)*push\b.*\s--force-with-lease\b`
+    ),
+  },
+  {
+    name: "git-reset-hard",
+    risk: "high",
+    reason: "Throws away uncommitted changes",
+    pattern: command("git", String.raw`\s+(?:-\S+\s+)*reset\b.*\s--hard\b`),
+  },
+  {
+    name: "git-clean",
+    risk: "high",
+    reason: "Deletes untracked files",
+    pattern: command("git", String.raw`\s+(?:-\S+\s+)*clean\b.*\s-\w*f`),
+  },
+  {
+    name: "dd",
+    risk: "high",
+    reason: "Writes raw data over a file or disk",
+    pattern: command("dd", String.raw`\s.*\bof=`),
+  },
+  {
+    name: "mkfs",
+    risk: "high",
+    reason: "Formats a filesystem, erasing it",
+    pattern: command(String.raw`mkfs(?:\.\w+)?`),
+  },
+  {
+    name: "disk-tools",
+    risk: "high",
+    reason: "Repartitions or wipes disks",
+    pattern: command("(?:fdisk|sfdisk|parted|wipefs|shred)"),
+  },
+  {
+    name: "write-to-disk-device",
+    risk: "high",
+    reason: "Writes over a disk device",
+    pattern: />\s*\/dev\/(?:sd|hd|vd|nvme|mmcblk|disk)\w*/,
+  },
+  {
+    name: "chmod-777-recursive",
+    risk: "high",
+    reason: "Makes everything below it writable by anyone",
+    pattern: command(
+      "chmod",
+      String.raw`(?=.*\s(?:-\w*R\w*|--recursive)(?=\s|$))(?=.*\s0?777(?=\s|$))`
+    ),
+  },
+  {
+    name: "chmod-777",
+    risk: "medium",
+    reason: "Makes it writable by anyone",
+    pattern: command("chmod", String.raw`(?=.*\s0?777(?=\s|$))`),
+  },
+  {
+    name: "pipe-to-shell",
+    risk: "high",
+    reason: "Runs a script from the internet without showing it",
+    pattern:
+      /\b(?:curl|wget)\b[^|;&]*\|\s*(?:sudo\s+(?:-\S+\s+)*)?(?:(?:ba|z|da|k)?sh|python3?|perl|ruby|node)\b|\bsh\s+-c\s+["']?\$\((?:curl|wget)\b/,
+  },
+  {
+    name: "sql-drop",
+    risk: "high",
+    reason: "Deletes a database or table",
+    pattern: new RegExp(
+      DATABASE_CLIENT +
+        String.raw`.*\b(?:drop\s+(?:database|schema|table)|truncate\s+table)\b`,
+      "i"
+    ),
+  },
+  {
+    name: "dropdb",
+    risk: "high",
+    reason: "Deletes a database",
+    pattern: command("dropdb"),
+  },
+  {
+    name: "db-flush",
+    risk: "high",
+    reason: "Deletes every key or collection",
+    pattern: new RegExp(
+      KEY_STORE_CLIENT + String.raw`.*(?:\bflush(?:all|db)\b|\.dropDatabase\()`,
+      "i"
+    ),
+  },
+  {
+    name: "fork-bomb",
+    risk: "high",
+    reason: "Starts processes until the machine hangs",
+    pattern: /:\(\)\s*\{\s*:\s*\|\s*:\s*&\s*\}\s*;\s*:/,
+  },
+  {
+    name: "move-to-dev-null",
+    risk: "high",
+    reason: "Throws the file away",
+    pattern: command("mv", String.raw`\s.*\s\/dev\/null(?=\s|$)`),
+  },
+  {
+    name: "terraform-destroy",
+    risk: "high",
+    reason: "Destroys all managed infrastructure",
+    pattern: command("terraform", String.raw`\s+destroy\b`),
+  },
+  {
+    name: "kubectl-delete-all",
+    risk: "high",
+    reason: "Deletes a namespace or every resource of a kind",
+    pattern: command(
+      "kubectl",
+      String.raw`\s+delete\s+(?:.*\s)?(?:ns|namespaces?|all|--all)(?=\s|$)`
+    ),
+  },
+  {
+    name: "docker-prune",
+    risk: "medium",
+    reason: "Deletes unused containers, images or volumes",
+    pattern: command(
+      "docker",
+      String.raw`\s+(?:system|volume|image)\s+prune\b`
+    ),
+  },
+  {
+    name: "shutdown",
+    risk: "medium",
+    reason: "Shuts down or restarts the machine",
+    pattern: command("(?:shutdown|reboot|halt|poweroff)"),
+  },
+];
+
+/**
+ * Rates how much damage a command line can do. Both what the user types
+ * and what is suggested go through here: high-risk lines are flagged in
+ * the ghost text and need confirming before they run.
+ *
+ * RISK_RULES_FILE (JSON) adds rules and replaces or disables built-in ones:
+ *
+ *   {
+ *     "rules": [{ "name": "prod-db", "pattern": "psql .*prod", "flags": "i",
+ *                 "risk": "high", "reason": "Touches the production DB" }],
+ *     "disabled": ["rm-recursive"]
+ *   }
+ */
+class RiskClassifier {
+  constructor() {
+    this.rules = null;
+    this.rulesFile = config.RISK_RULES_FILE;
+  }
+
+  // Loaded on first use; user rules replace built-in ones of the same name
+  load() {
+    if (this.rules) return this.rules;
+
+    const rules = new Map(RULES.map((rule) => [rule.name, rule]));
+    try {
+      const data = JSON.parse(fs.readFileSync(this.rulesFile, "utf8"));
+      (data.disabled || []).forEach((name) => rules.delete(name));
+      (data.rules || []).forEach((rule) => {
+        if (!rule.name || !rule.pattern) return;
+        rules.set(rule.name, {
+          name: rule.name,
+          risk: LEVELS.includes(rule.risk) ? rule.risk : "high",
+          reason: rule.reason || `Matches the "${rule.name}" rule`,
+          pattern: new RegExp(rule.pattern, rule.flags || ""),
+        });
+      });
+    } catch (error) {
+      if (error.code !== "ENOENT" && config.DEBUG_MODE) {
+        console.error("Failed to load risk rules:", error.message);
+      }
+    }
+
+    this.rules = Array.from(rules.values());
+    return this.rules;
+  }
+
+  /**
+   * Returns { level, reasons } where `level` is "low", "medium" or "high"
+   * and `reasons` explain the rules that set it.
+   */
+  classify(line) {
+    const matches = line
+      ? this.load().filter((rule) => rule.pattern.test(line))
+      : [];
+    const level = matches.reduce(
+      (highest, rule) =>
+        LEVELS.indexOf(rule.risk) > LEVELS.indexOf(highest)
+          ? rule.risk
+          : highest,
+      "low"
+    );
+
+    return {
+      level,
+      reasons: matches
+        .filter((rule) => rule.risk === level)
+        .map((rule) => rule.reason),
+    };
+  }
+
+  isHighRisk(line) {
+    return this.classify(line).level === "high";
+  }
+}
+
+module.exports = RiskClassifier;
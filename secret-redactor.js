@@ -0,0 +1,192 @@
+const fs = require("fs");
+const config = require("./config");
+
+const REDACTED = "[REDACTED]";
+
+// Words that mark the value after them as a secret, in variable names
+// (AWS_SECRET_ACCESS_KEY=...) and option names (--password ...)
+const SECRET_NAME = String.raw`(?:[\w.-]*(?:secret|token|passw(?:or)?d|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)[\w.-]*|[\w.-]*auth)`;
+
+// A quoted or bare value. "$VAR" references, numbers and booleans
+// (--max-tokens 100) aren't secrets; lists and objects are left to the
+// other detectors.
+const SECRET_VALUE = String.raw`"(?!\$)[^"]*"|'[^']*'|(?![$[{]|(?:\d+|true|false|null)(?![^\s"'&;|,]))[^\s"'&;|,]+`;
+
+// Long runs of these characters are checked for randomness
+const TOKEN = /[A-Za-z0-9+_-]{24,}=*/g;
+
+/**
+ * Built-in detectors. A pattern with a `secret` group has only that group
+ * replaced, so "TOKEN=abc" keeps its name; otherwise the whole match is.
+ * `check` further filters matches. Names are what REDACTION_RULES_FILE
+ * uses to replace or disable them.
+ */
+const RULES = [
+  {
+    name: "private-key",
+    pattern:
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+  },
+  {
+    name: "aws-access-key",
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    name: "google-api-key",
+    pattern: /\bAIza[0-9A-Za-z_-]{35}/g,
+  },
+  {
+    name: "github-token",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{22,})/g,
+  },
+  {
+    name: "slack-token",
+    pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  },
+  {
+    name: "secret-key",
+    pattern: /\b(?:sk|rk)[-_](?:live_|test_|proj-|ant-)?[A-Za-z0-9_-]{20,}/g,
+  },
+  {
+    name: "jwt",
+    pattern: /\beyJ[\w-]{8,}\.eyJ[\w-]{8,}\.[\w-]+/g,
+  },
+  {
+    name: "url-credentials",
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]*:(?<secret>[^\s@/]+)@/gi,
+  },
+  {
+    name: "authorization-header",
+    pattern:
+      /\b(?:authorization|x-api-key|api-key)\s*:\s*(?:(?:bearer|basic|token|bot)\s+)?(?<secret>[^\s"']+)/gi,
+  },
+  {
+    name: "bearer-token",
+    pattern: /\bbearer\s+(?<secret>[\w.~+/-]{8,}=*)/gi,
+  },
+  {
+    name: "secret-assignment",
+    pattern: new RegExp(
+      String.raw`\b${SECRET_NAME}"?\s*[=:]\s*(?<secret>${SECRET_VALUE})`,
+      "gi"
+    ),
+  },
+  {
+    name: "secret-option",
+    pattern: new RegExp(
+      String.raw`(?:^|\s)--?${SECRET_NAME}(?:=|\s+)(?<secret>${SECRET_VALUE})`,
+      "gi"
+    ),
+  },
+  {
+    // mysql -pS3cretPass: the password attached to its short option
+    name: "attached-password",
+    pattern: new RegExp(
+      String.raw`(?:^|[;&|]\s*|\bsudo\s+)(?:mysql\w*|mariadb\w*)\b.*?\s-p(?<secret>${SECRET_VALUE})`,
+      "gi"
+    ),
+  },
+  {
+    name: "high-entropy",
+    pattern: TOKEN,
+    check: looksRandom,
+  },
+];
+
+// Shannon entropy in bits per character
+function entropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let bits = 0;
+  counts.forEach((count) => {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  });
+  return bits;
+}
+
+// Mixed-case letters with digits scattered through them and little
+// repetition. Identifiers like "MyProjectName2024" keep their digits in
+// one place, and hex (commit hashes, UUIDs) has no uppercase.
+function looksRandom(token) {
+  return (
+    /[a-z]/.test(token) &&
+    /[A-Z]/.test(token) &&
+    /\d\D+\d/.test(token) &&
+    entropy(token) > config.REDACTION_MIN_ENTROPY
+  );
+}
+
+/**
+ * Replaces secrets in text with [REDACTED] before it leaves the process
+ * or is written to disk: prompts, cache keys, history, the ML model and
+ * debug output all go through here.
+ *
+ * REDACTION_RULES_FILE (JSON) adds patterns and replaces or disables
+ * built-in ones; a pattern's `secret` group, when it has one, is the only
+ * part replaced:
+ *
+ *   {
+ *     "rules": [{ "name": "internal-host", "pattern": "\\w+\\.corp\\.example" }],
+ *     "disabled": ["high-entropy"]
+ *   }
+ */
+class SecretRedactor {
+  constructor() {
+    this.rules = null;
+    this.rulesFile = config.REDACTION_RULES_FILE;
+  }
+
+  // Loaded on first use; user rules replace built-in ones of the same name
+  load() {
+    if (this.rules) return this.rules;
+
+    const rules = new Map(RULES.map((rule) => [rule.name, rule]));
+    try {
+      const data = JSON.parse(fs.readFileSync(this.rulesFile, "utf8"));
+      (data.disabled || []).forEach((name) => rules.delete(name));
+      (data.rules || []).forEach((rule) => {
+        if (!rule.name || !rule.pattern) return;
+        const flags = (rule.flags || "").replace("g", "");
+        rules.set(rule.name, {
+          name: rule.name,
+          pattern: new RegExp(rule.pattern, flags + "g"),
+        });
+      });
+    } catch (error) {
+      if (error.code !== "ENOENT" && config.DEBUG_MODE) {
+        console.error("Failed to load redaction rules:", error.message);
+      }
+    }
+
+    this.rules = Array.from(rules.values());
+    return this.rules;
+  }
+
+  redact(text) {
+    if (!config.REDACT_SECRETS || typeof text !== "string" || !text) {
+      return text;
+    }
+
+    return this.load().reduce(
+      (result, rule) =>
+        result.replace(rule.pattern, (...args) => {
+          const match = args[0];
+          const groups = args[args.length - 1];
+          if (rule.check && !rule.check(match)) return match;
+
+          const secret =
+            groups && typeof groups === "object" ? groups.secret : undefined;
+          if (!secret) return REDACTED;
+          // Quotes around a secret stay, so the line keeps its syntax
+          const quote = /^(["'])[\s\S]+\1$/.test(secret) ? 1 : 0;
+          const start = match.lastIndexOf(secret) + quote;
+          const end = start + secret.length - 2 * quote;
+          return match.slice(0, start) + REDACTED + match.slice(end);
+        }),
+      text
+    );
+  }
+}
+
+module.exports = SecretRedactor;
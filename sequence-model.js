@@ -0,0 +1,325 @@
+const SEPARATOR = "\u0001";
+
+// Occurrence counts for one context, with the total kept alongside so
+// probabilities don't need a pass over the whole table
+class CountTable {
+  constructor(entries = []) {
+    this.counts = new Map(entries);
+    this.total = 0;
+    this.counts.forEach((count) => {
+      this.total += count;
+    });
+  }
+
+  add(key, amount = 1) {
+    this.counts.set(key, (this.counts.get(key) || 0) + amount);
+    this.total += amount;
+  }
+
+  get(key) {
+    return this.counts.get(key) || 0;
+  }
+
+  delete(key) {
+    this.total -= this.get(key);
+    this.counts.delete(key);
+  }
+
+  // Keeps the `limit` most frequent keys once the table grows well past
+  // it; returns the keys dropped
+  prune(limit) {
+    if (this.counts.size <= limit * 1.1) return [];
+
+    const dropped = Array.from(this.counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(limit)
+      .map(([key]) => key);
+    dropped.forEach((key) => this.delete(key));
+    return dropped;
+  }
+
+  toJSON() {
+    return Array.from(this.counts.entries());
+  }
+}
+
+/**
+ * Bigram/trigram model over normalized commands, learned from what the user
+ * actually runs. Besides plain n-grams it keeps transitions conditioned on
+ * the working directory and on whether the previous command failed, and
+ * interpolates them with add-k smoothing to rank likely next commands.
+ *
+ * Tables are capped like FrecencyIndex's: the rarest commands, contexts
+ * and followers are dropped, so the saved model stays small however much
+ * history it has seen.
+ */
+class SequenceModel {
+  constructor() {
+    this.smoothing = 0.1;
+    this.sessionGap = 30 * 60 * 1000; // Longer pauses start a new sequence
+    this.weights = {
+      trigram: 0.3,
+      directoryBigram: 0.2,
+      exitBigram: 0.2,
+      bigram: 0.15,
+      directory: 0.1,
+      unigram: 0.05,
+    };
+    this.maxCommands = 2000; // Distinct commands
+    this.maxContexts = 3000; // Contexts per n-gram table
+    this.maxFollowers = 20; // Next commands kept per context
+    this.maxDirectories = 300; // Directories with their own tables
+    this.maxDirectoryCommands = 100; // Commands kept per directory
+    this.reset();
+  }
+
+  reset() {
+    this.unigrams = new CountTable();
+    this.bigrams = new Map();
+    this.trigrams = new Map();
+    this.exitBigrams = new Map();
+    this.directoryBigrams = new Map();
+    this.directoryUnigrams = new Map();
+    this.representatives = new Map();
+    this.recent = [];
+  }
+
+  isEmpty() {
+    return this.unigrams.total === 0;
+  }
+
+  /**
+   * Collapses volatile arguments so `git commit -m "fix a"` and
+   * `git commit -m "fix b"` count as the same step.
+   */
+  normalize(command) {
+    return command
+      .trim()
+      .replace(/\s+/g, " ")
+      .replace(/"(?:[^"\\]|\\.)*"|'[^']*'/g, "<str>")
+      .replace(/\b[0-9a-f]{7,40}\b/g, "<hash>")
+      .replace(/(^| )\d+(?= |$)/g, "$1<n>");
+  }
+
+  exitBucket(exitCode) {
+    if (exitCode === null || exitCode === undefined) return "unknown";
+    return exitCode === 0 ? "ok" : "fail";
+  }
+
+  addTo(tables, context, key, limit = this.maxFollowers) {
+    if (!tables.has(context)) {
+      tables.set(context, new CountTable());
+    }
+    tables.get(context).add(key);
+    tables.get(context).prune(limit);
+  }
+
+  // Drops the least used contexts once a map of them grows well past
+  // `limit`
+  pruneContexts(tables, limit) {
+    if (tables.size <= limit * 1.1) return;
+
+    Array.from(tables.entries())
+      .sort((a, b) => b[1].total - a[1].total)
+      .slice(limit)
+      .forEach(([context]) => tables.delete(context));
+  }
+
+  prune() {
+    const contextTables = [
+      this.bigrams,
+      this.trigrams,
+      this.exitBigrams,
+      this.directoryBigrams,
+      this.directoryUnigrams,
+    ];
+
+    // A dropped command leaves every table, so it is never predicted without
+    // the concrete command to show for it
+    const dropped = this.unigrams.prune(this.maxCommands);
+    if (dropped.length > 0) {
+      dropped.forEach((key) => this.representatives.delete(key));
+      contextTables.forEach((tables) =>
+        tables.forEach((table, context) => {
+          dropped.forEach((key) => table.delete(key));
+          if (table.total <= 0) tables.delete(context);
+        })
+      );
+    }
+
+    this.pruneContexts(this.bigrams, this.maxContexts);
+    this.pruneContexts(this.trigrams, this.maxContexts);
+    this.pruneContexts(this.exitBigrams, this.maxContexts);
+    this.pruneContexts(this.directoryBigrams, this.maxContexts);
+    this.pruneContexts(this.directoryUnigrams, this.maxDirectories);
+  }
+
+  /**
+   * Records one executed command ({ command, cwd, exitCode, timestamp })
+   * as following the previously observed ones.
+   */
+  observe(entry) {
+    const command = entry.command && entry.command.trim();
+    if (!command) return;
+
+    const key = this.normalize(command);
+    const timestamp = entry.timestamp || Date.now();
+    const last = this.recent[this.recent.length - 1];
+    if (last && timestamp - last.timestamp > this.sessionGap) {
+      this.recent = [];
+    }
+
+    const p1 = this.recent[this.recent.length - 1];
+    const p2 = this.recent[this.recent.length - 2];
+
+    this.unigrams.add(key);
+    this.representatives.set(key, command);
+    if (entry.cwd) {
+      this.addTo(
+        this.directoryUnigrams,
+        entry.cwd,
+        key,
+        this.maxDirectoryCommands
+      );
+    }
+
+    if (p1) {
+      this.addTo(this.bigrams, p1.key, key);
+      this.addTo(
+        this.exitBigrams,
+        p1.key + SEPARATOR + this.exitBucket(p1.exitCode),
+        key
+      );
+      if (entry.cwd) {
+        this.addTo(this.directoryBigrams, entry.cwd + SEPARATOR + p1.key, key);
+      }
+    }
+    if (p1 && p2) {
+      this.addTo(this.trigrams, p2.key + SEPARATOR + p1.key, key);
+    }
+
+    this.recent.push({ key, exitCode: entry.exitCode, timestamp });
+    if (this.recent.length > 2) {
+      this.recent.shift();
+    }
+    this.prune();
+  }
+
+  train(entries) {
+    entries.forEach((entry) => this.observe(entry));
+  }
+
+  /**
+   * Ranks likely next commands. `previous` holds the last commands run,
+   * oldest first; `lastExitCode` is the exit code of the most recent one.
+   * Returns [{ command, probability }] with the concrete command last seen
+   * for each normalized form.
+   */
+  predict({ previous = [], cwd = null, lastExitCode = null } = {}, limit = 5) {
+    if (this.isEmpty()) return [];
+
+    const p1 =
+      previous.length > 0 ? this.normalize(previous.slice(-1)[0]) : null;
+    const p2 =
+      previous.length > 1 ? this.normalize(previous.slice(-2)[0]) : null;
+
+    const terms = [
+      [this.weights.trigram, p2 && this.trigrams.get(p2 + SEPARATOR + p1)],
+      [
+        this.weights.directoryBigram,
+        p1 && cwd && this.directoryBigrams.get(cwd + SEPARATOR + p1),
+      ],
+      [
+        this.weights.exitBigram,
+        p1 &&
+          this.exitBigrams.get(p1 + SEPARATOR + this.exitBucket(lastExitCode)),
+      ],
+      [this.weights.bigram, p1 && this.bigrams.get(p1)],
+      [this.weights.directory, cwd && this.directoryUnigrams.get(cwd)],
+      [this.weights.unigram, this.unigrams],
+    ].filter(([, table]) => table && table.total > 0);
+
+    // Anything seen in one of the applicable contexts is a candidate
+    const candidates = new Set();
+    terms.forEach(([, table]) => {
+      table.counts.forEach((count, key) => candidates.add(key));
+    });
+
+    const vocabularySize = this.unigrams.counts.size;
+    const totalWeight = terms.reduce((sum, [weight]) => sum + weight, 0);
+
+    const scored = Array.from(candidates).map((key) => {
+      let probability = 0;
+      terms.forEach(([weight, table]) => {
+        probability +=
+          (weight * (table.get(key) + this.smoothing)) /
+          (table.total + this.smoothing * vocabularySize);
+      });
+      return {
+        command: this.representatives.get(key) || key,
+        probability: probability / totalWeight,
+      };
+    });
+
+    return scored.sort((a, b) => b.probability - a.probability).slice(0, limit);
+  }
+
+  toJSON() {
+    const serializeTables = (tables) =>
+      Array.from(tables.entries()).map(([context, table]) => [
+        context,
+        table.toJSON(),
+      ]);
+
+    return {
+      unigrams: this.unigrams.toJSON(),
+      bigrams: serializeTables(this.bigrams),
+      trigrams: serializeTables(this.trigrams),
+      exitBigrams: serializeTables(this.exitBigrams),
+      directoryBigrams: serializeTables(this.directoryBigrams),
+      directoryUnigrams: serializeTables(this.directoryUnigrams),
+      representatives: Array.from(this.representatives.entries()),
+    };
+  }
+
+  // Adds the counts from a serialized model (e.g. a teammate's) to ours
+  merge(data) {
+    const mergeTables = (tables, entries = [], limit = this.maxFollowers) => {
+      entries.forEach(([context, counts]) => {
+        counts.forEach(([key, count]) => {
+          if (!tables.has(context)) {
+            tables.set(context, new CountTable());
+          }
+          tables.get(context).add(key, count);
+        });
+        if (tables.has(context)) tables.get(context).prune(limit);
+      });
+    };
+
+    (data.unigrams || []).forEach(([key, count]) => {
+      this.unigrams.add(key, count);
+    });
+    mergeTables(this.bigrams, data.bigrams);
+    mergeTables(this.trigrams, data.trigrams);
+    mergeTables(this.exitBigrams, data.exitBigrams);
+    mergeTables(this.directoryBigrams, data.directoryBigrams);
+    mergeTables(
+      this.directoryUnigrams,
+      data.directoryUnigrams,
+      this.maxDirectoryCommands
+    );
+    (data.representatives || []).forEach(([key, command]) => {
+      if (!this.representatives.has(key) && this.unigrams.get(key) > 0) {
+        this.representatives.set(key, command);
+      }
+    });
+    this.prune();
+  }
+
+  load(data) {
+    this.reset();
+    this.merge(data);
+  }
+}
+
+module.exports = SequenceModel;
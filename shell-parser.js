@@ -0,0 +1,181 @@
+const os = require("os");
+
+const OPERATOR_CHARS = new Set(["|", "&", ";", "<", ">", "(", ")", "`"]);
+
+function lookupVariable(name, env) {
+  return env[name] !== undefined ? env[name] : "";
+}
+
+// Reads a $NAME or ${NAME} reference starting at `index` (which points at
+// the "$"). Returns null when the "$" isn't followed by a variable name.
+function readVariable(line, index) {
+  if (line[index + 1] === "{") {
+    const close = line.indexOf("}", index + 2);
+    if (close === -1) return null;
+    return { name: line.slice(index + 2, close), length: close - index + 1 };
+  }
+
+  const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(line.slice(index + 1));
+  if (!match) return null;
+  return { name: match[0], length: match[0].length + 1 };
+}
+
+/**
+ * Splits a command line into words the way a POSIX shell would for a simple
+ * command: single and double quotes, backslash escapes, and (optionally)
+ * $VAR and leading ~ expansion. Each word keeps its start/end offsets in the
+ * original line so callers can map the cursor back onto it.
+ *
+ * Shell operators are not interpreted; `hasOperators` tells the caller that
+ * the line needs a real shell, and `operators` holds their offsets.
+ */
+function tokenize(line, options = {}) {
+  const expand = options.expand !== false;
+  const env = options.env || process.env;
+  const home = env.HOME || os.homedir();
+
+  const words = [];
+  let hasOperators = false;
+  const operators = [];
+  let word = null;
+  let openQuote = null;
+
+  const startWord = (index) => {
+    if (!word) {
+      word = { value: "", raw: "", start: index, end: index, quote: null };
+    }
+  };
+
+  const endWord = (index) => {
+    if (word) {
+      word.end = index;
+      words.push(word);
+      word = null;
+    }
+  };
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (openQuote === "'") {
+      if (char === "'") {
+        openQuote = null;
+      } else {
+        word.value += char;
+      }
+      word.raw += char;
+      continue;
+    }
+
+    if (openQuote === '"') {
+      if (char === '"') {
+        openQuote = null;
+        word.raw += char;
+        continue;
+      }
+      if (
+        char === "\\" &&
+        i + 1 < line.length &&
+        '"\\$`'.includes(line[i + 1])
+      ) {
+        word.value += line[i + 1];
+        word.raw += char + line[i + 1];
+        i++;
+        continue;
+      }
+      if (char === "$" && expand) {
+        const variable = readVariable(line, i);
+        if (variable) {
+          word.value += lookupVariable(variable.name, env);
+          word.raw += line.slice(i, i + variable.length);
+          i += variable.length - 1;
+          continue;
+        }
+      }
+      word.value += char;
+      word.raw += char;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      endWord(i);
+      continue;
+    }
+
+    if (OPERATOR_CHARS.has(char)) {
+      hasOperators = true;
+      operators.push(i);
+      endWord(i);
+      continue;
+    }
+
+    startWord(i);
+
+    if (char === "'" || char === '"') {
+      openQuote = char;
+      word.quote = char;
+      word.raw += char;
+      continue;
+    }
+
+    if (char === "\\") {
+      if (i + 1 < line.length) {
+        word.value += line[i + 1];
+        word.raw += char + line[i + 1];
+        i++;
+      } else {
+        word.raw += char;
+      }
+      continue;
+    }
+
+    if (char === "~" && expand && word.raw === "") {
+      const next = line[i + 1];
+      if (next === undefined || next === "/" || /\s/.test(next)) {
+        word.value += home;
+        word.raw += char;
+        continue;
+      }
+    }
+
+    if (char === "$" && expand) {
+      const variable = readVariable(line, i);
+      if (variable) {
+        word.value += lookupVariable(variable.name, env);
+        word.raw += line.slice(i, i + variable.length);
+        i += variable.length - 1;
+        continue;
+      }
+    }
+
+    word.value += char;
+    word.raw += char;
+  }
+
+  endWord(line.length);
+
+  return {
+    words,
+    hasOperators,
+    operators,
+    unterminatedQuote: openQuote,
+  };
+}
+
+// Convenience wrapper when only the expanded word values are needed
+function splitWords(line, options = {}) {
+  return tokenize(line, options).words.map((word) => word.value);
+}
+
+// Quotes a value so the shell reads it back as a single literal word
+function quote(value) {
+  if (value === "") return "''";
+  if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(value)) return value;
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+module.exports = {
+  tokenize,
+  splitWords,
+  quote,
+};
@@ -0,0 +1,329 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const chalk = require("chalk");
+const { tokenize, quote } = require("./shell-parser");
+
+const BUILTINS = [
+  "cd",
+  "pushd",
+  "popd",
+  "dirs",
+  "export",
+  "unset",
+  "alias",
+  "unalias",
+];
+
+class ShellSession {
+  constructor(commandExecutor) {
+    this.commandExecutor = commandExecutor;
+    this.cwd = process.cwd();
+    this.previousDirectory = null;
+    this.directoryStack = [];
+    this.env = { ...process.env, PWD: process.cwd() };
+    this.aliases = new Map();
+    this.maxAliasDepth = 10;
+  }
+
+  getHomeDirectory() {
+    return this.env.HOME || os.homedir();
+  }
+
+  // Shortens paths under $HOME to ~ for display, like `dirs` does
+  displayPath(dir) {
+    const home = this.getHomeDirectory();
+    if (dir === home) return "~";
+    if (dir.startsWith(home + path.sep)) {
+      return "~" + dir.slice(home.length);
+    }
+    return dir;
+  }
+
+  resolvePath(target) {
+    return path.resolve(this.cwd, target);
+  }
+
+  isBuiltin(command) {
+    const { words, hasOperators } = tokenize(command, { env: this.env });
+    return (
+      !hasOperators && words.length > 0 && BUILTINS.includes(words[0].value)
+    );
+  }
+
+  expandAliases(command) {
+    let expanded = command;
+    const seen = new Set();
+
+    for (let depth = 0; depth < this.maxAliasDepth; depth++) {
+      const match = /^(\s*)(\S+)(.*)$/s.exec(expanded);
+      if (!match || seen.has(match[2]) || !this.aliases.has(match[2])) {
+        break;
+      }
+      seen.add(match[2]);
+      expanded = match[1] + this.aliases.get(match[2]) + match[3];
+    }
+
+    return expanded;
+  }
+
+  // Command names that are valid here without being on $PATH
+  getCommandNames() {
+    return [...BUILTINS, ...this.aliases.keys()];
+  }
+
+  /**
+   * Runs a command line for this session. Aliases are expanded first; cd,
+   * pushd/popd/dirs, export/unset and alias/unalias change session state
+   * in-process, everything else goes to the command executor with the
+   * session's working directory and environment.
+   */
+  async run(command) {
+    const expanded = this.expandAliases(command);
+
+    if (this.isBuiltin(expanded)) {
+      const startTime = Date.now();
+      const exitCode = this.runBuiltin(expanded);
+      return {
+        command: expanded,
+        exitCode,
+        signal: null,
+        error: null,
+        duration: Date.now() - startTime,
+        builtin: true,
+      };
+    }
+
+    return this.commandExecutor.execute(expanded, {
+      cwd: this.cwd,
+      env: this.env,
+    });
+  }
+
+  runBuiltin(command) {
+    const words = tokenize(command, { env: this.env }).words.map(
+      (word) => word.value
+    );
+    const [name, ...args] = words;
+
+    switch (name) {
+      case "cd":
+        return this.cd(args);
+      case "pushd":
+        return this.pushd(args);
+      case "popd":
+        return this.popd(args);
+      case "dirs":
+        return this.dirs(args);
+      case "export":
+        return this.exportVariables(args);
+      case "unset":
+        return this.unsetVariables(args);
+      case "alias":
+        return this.alias(args);
+      case "unalias":
+        return this.unalias(args);
+      default:
+        return 127;
+    }
+  }
+
+  printError(message) {
+    console.log(chalk.red(message));
+  }
+
+  changeDirectory(target, builtinName) {
+    const resolved = this.resolvePath(target);
+
+    let stat;
+    try {
+      stat = fs.statSync(resolved);
+    } catch (error) {
+      this.printError(`${builtinName}: no such file or directory: ${target}`);
+      return false;
+    }
+
+    if (!stat.isDirectory()) {
+      this.printError(`${builtinName}: not a directory: ${target}`);
+      return false;
+    }
+
+    try {
+      fs.accessSync(resolved, fs.constants.X_OK);
+    } catch (error) {
+      this.printError(`${builtinName}: permission denied: ${target}`);
+      return false;
+    }
+
+    this.previousDirectory = this.cwd;
+    this.cwd = resolved;
+    this.env.OLDPWD = this.previousDirectory;
+    this.env.PWD = this.cwd;
+    return true;
+  }
+
+  cd(args) {
+    const target = args[0];
+
+    if (!target) {
+      return this.changeDirectory(this.getHomeDirectory(), "cd") ? 0 : 1;
+    }
+
+    if (target === "-") {
+      if (!this.previousDirectory) {
+        this.printError("cd: OLDPWD not set");
+        return 1;
+      }
+      if (!this.changeDirectory(this.previousDirectory, "cd")) return 1;
+      console.log(this.displayPath(this.cwd));
+      return 0;
+    }
+
+    return this.changeDirectory(target, "cd") ? 0 : 1;
+  }
+
+  pushd(args) {
+    const target = args[0];
+
+    if (!target) {
+      // Swap the current directory with the top of the stack
+      if (this.directoryStack.length === 0) {
+        this.printError("pushd: no other directory");
+        return 1;
+      }
+      const top = this.directoryStack[0];
+      const current = this.cwd;
+      if (!this.changeDirectory(top, "pushd")) return 1;
+      this.directoryStack[0] = current;
+      this.printDirectoryStack();
+      return 0;
+    }
+
+    const current = this.cwd;
+    if (!this.changeDirectory(target, "pushd")) return 1;
+    this.directoryStack.unshift(current);
+    this.printDirectoryStack();
+    return 0;
+  }
+
+  popd() {
+    if (this.directoryStack.length === 0) {
+      this.printError("popd: directory stack empty");
+      return 1;
+    }
+
+    const target = this.directoryStack[0];
+    if (!this.changeDirectory(target, "popd")) return 1;
+    this.directoryStack.shift();
+    this.printDirectoryStack();
+    return 0;
+  }
+
+  dirs(args) {
+    if (args[0] === "-c") {
+      this.directoryStack = [];
+      return 0;
+    }
+    this.printDirectoryStack();
+    return 0;
+  }
+
+  printDirectoryStack() {
+    console.log(
+      [this.cwd, ...this.directoryStack]
+        .map((dir) => this.displayPath(dir))
+        .join(" ")
+    );
+  }
+
+  exportVariables(args) {
+    if (args.length === 0) {
+      Object.keys(this.env)
+        .sort()
+        .forEach((name) => {
+          console.log(`export ${name}=${quote(this.env[name])}`);
+        });
+      return 0;
+    }
+
+    let exitCode = 0;
+    args.forEach((arg) => {
+      const separator = arg.indexOf("=");
+      const name = separator === -1 ? arg : arg.slice(0, separator);
+
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        this.printError(`export: not a valid identifier: ${name}`);
+        exitCode = 1;
+        return;
+      }
+
+      if (separator === -1) {
+        // Marking an existing variable as exported is a no-op here
+        if (this.env[name] === undefined) this.env[name] = "";
+      } else {
+        this.env[name] = arg.slice(separator + 1);
+      }
+    });
+    return exitCode;
+  }
+
+  unsetVariables(args) {
+    args.forEach((name) => {
+      delete this.env[name];
+    });
+    return 0;
+  }
+
+  alias(args) {
+    if (args.length === 0) {
+      Array.from(this.aliases.keys())
+        .sort()
+        .forEach((name) => {
+          console.log(`alias ${name}=${quote(this.aliases.get(name))}`);
+        });
+      return 0;
+    }
+
+    let exitCode = 0;
+    args.forEach((arg) => {
+      const separator = arg.indexOf("=");
+
+      if (separator === -1) {
+        if (this.aliases.has(arg)) {
+          console.log(`alias ${arg}=${quote(this.aliases.get(arg))}`);
+        } else {
+          this.printError(`alias: ${arg}: not found`);
+          exitCode = 1;
+        }
+        return;
+      }
+
+      const name = arg.slice(0, separator);
+      if (!name || /[\s=/$`'"]/.test(name)) {
+        this.printError(`alias: invalid alias name: ${name}`);
+        exitCode = 1;
+        return;
+      }
+      this.aliases.set(name, arg.slice(separator + 1));
+    });
+    return exitCode;
+  }
+
+  unalias(args) {
+    if (args[0] === "-a") {
+      this.aliases.clear();
+      return 0;
+    }
+
+    let exitCode = 0;
+    args.forEach((name) => {
+      if (!this.aliases.delete(name)) {
+        this.printError(`unalias: ${name}: not found`);
+        exitCode = 1;
+      }
+    });
+    return exitCode;
+  }
+}
+
+module.exports = ShellSession;
@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { splitWords } = require("./shell-parser");
+
+const BUILTIN_SPEC_DIR = path.join(__dirname, "completion-specs");
+
+/**
+ * Completes subcommands, options and arguments from declarative specs, one
+ * module per command in the spirit of Fig's completion specs:
+ *
+ *   {
+ *     name: "git",
+ *     subcommands: [{ name: ["checkout", "co"], description, options, args }],
+ *     options: [{ name: ["-f", "--force"], description, args, isPersistent }],
+ *     args: { name: "path", template: "filepaths", suggestions: ["..."] },
+ *   }
+ *
+ * `name` may list aliases. `args` is one argument or an array of positional
+ * ones; `template` ("filepaths" or "folders") asks for path completion,
+ * `suggestions` are fixed values and `generator` names a dynamic source in
+ * ArgumentGenerators (or, in a JS spec, is an async function of
+ * { cwd, env } returning [{ name, description }]). Options marked `isPersistent` also apply
+ * to every subcommand below the one that declares them.
+ *
+ * Built-in specs live in completion-specs/; .js or .json files in
+ * COMPLETION_SPEC_DIR add commands or replace built-in specs of the same
+ * name.
+ */
+class SpecCompleter {
+  constructor() {
+    this.specs = null;
+    this.userSpecDir = config.COMPLETION_SPEC_DIR;
+  }
+
+  loadDirectory(directory) {
+    let files;
+    try {
+      files = fs.readdirSync(directory);
+    } catch (error) {
+      return;
+    }
+
+    files
+      .filter((file) => /\.(js|json)$/.test(file))
+      .forEach((file) => {
+        try {
+          const spec = require(path.join(directory, file));
+          this.names(spec).forEach((name) => this.specs.set(name, spec));
+        } catch (error) {
+          if (config.DEBUG_MODE) {
+            console.error(
+              `Failed to load completion spec ${file}:`,
+              error.message
+            );
+          }
+        }
+      });
+  }
+
+  // Loaded on first use; user specs go last so they win
+  load() {
+    if (this.specs) return this.specs;
+
+    this.specs = new Map();
+    this.loadDirectory(BUILTIN_SPEC_DIR);
+    this.loadDirectory(this.userSpecDir);
+    return this.specs;
+  }
+
+  getSpec(command) {
+    return this.load().get(path.basename(command)) || null;
+  }
+
+  names(item) {
+    if (!item || !item.name) return [];
+    return Array.isArray(item.name) ? item.name : [item.name];
+  }
+
+  argList(node) {
+    if (!node.args) return [];
+    return Array.isArray(node.args) ? node.args : [node.args];
+  }
+
+  findOption(options, flag) {
+    return options.find((option) => this.names(option).includes(flag));
+  }
+
+  // The node's own options plus persistent ones inherited from its parents
+  optionsFor(nodes) {
+    const node = nodes[nodes.length - 1];
+    const inherited = [];
+    nodes.slice(0, -1).forEach((parent) => {
+      (parent.options || []).forEach((option) => {
+        if (option.isPersistent) inherited.push(option);
+      });
+    });
+    return [...(node.options || []), ...inherited];
+  }
+
+  /**
+   * Walks the finished words of a command line (command name first) down
+   * the spec. Returns the chain of subcommand nodes, the argument the next word fills
+   * (an option's argument or a positional one) and whether subcommands may
+   * still follow.
+   */
+  resolve(spec, words) {
+    const nodes = [spec];
+    let pendingArg = null;
+    let positional = 0;
+
+    words.slice(1).forEach((word) => {
+      if (pendingArg) {
+        pendingArg = null;
+        return;
+      }
+
+      if (word.startsWith("-") && word !== "-") {
+        const [flag] = word.split("=");
+        const option = this.findOption(this.optionsFor(nodes), flag);
+        if (option && option.args && !word.includes("=")) {
+          pendingArg = this.argList(option)[0];
+        }
+        return;
+      }
+
+      const node = nodes[nodes.length - 1];
+      const subcommand =
+        positional === 0 &&
+        (node.subcommands || []).find((sub) => this.names(sub).includes(word));
+      if (subcommand) {
+        nodes.push(subcommand);
+        return;
+      }
+      positional++;
+    });
+
+    const node = nodes[nodes.length - 1];
+    const args = this.argList(node);
+    return {
+      nodes,
+      arg: pendingArg || args[Math.min(positional, args.length - 1)] || null,
+      optionArg: Boolean(pendingArg),
+      allowSubcommands: positional === 0 && !pendingArg,
+    };
+  }
+
+  /**
+   * Candidates for `current`, the word being typed, given the finished
+   * words before it. Returns null when there is no spec for the command;
+   * otherwise { candidates: [{ name, description }], template, generator }
+   * where `template` and `generator` ask the caller to add path completions
+   * and generated values as well.
+   */
+  complete(words, current) {
+    const spec = words.length > 0 && this.getSpec(words[0]);
+    if (!spec) return null;
+
+    const { nodes, arg, optionArg, allowSubcommands } = this.resolve(
+      spec,
+      words
+    );
+    const node = nodes[nodes.length - 1];
+    const candidates = [];
+    const add = (item, names = this.names(item)) => {
+      names.forEach((name) => {
+        if (name.startsWith(current)) {
+          candidates.push({ name, description: item.description || "" });
+        }
+      });
+    };
+
+    if (!optionArg && current.startsWith("-")) {
+      this.optionsFor(nodes).forEach((option) => add(option));
+      return { candidates, template: null, generator: null };
+    }
+
+    // Subcommand aliases still resolve, but only the main name is offered
+    if (allowSubcommands) {
+      (node.subcommands || []).forEach((sub) =>
+        add(sub, this.names(sub).slice(0, 1))
+      );
+    }
+    if (arg && arg.suggestions) {
+      arg.suggestions.forEach((suggestion) =>
+        add(typeof suggestion === "string" ? { name: suggestion } : suggestion)
+      );
+    }
+
+    return {
+      candidates,
+      template: (arg && arg.template) || null,
+      generator: (arg && arg.generator) || null,
+    };
+  }
+
+  /**
+   * Completions of the last word of a whole command line, in spec order
+   * ("git che" -> ["git checkout", "git cherry-pick"]). Only plain words
+   * are completed; anything quoted or escaped is left to Tab completion.
+   */
+  completeLine(line) {
+    const match = /(?:^|\s)([\w.:=@+-]+)$/.exec(line);
+    if (!match) return [];
+
+    const current = match[1];
+    const before = line.slice(0, line.length - current.length);
+    const words = splitWords(before);
+    const result = this.complete(words, current);
+    if (!result) return [];
+
+    return result.candidates
+      .filter((candidate) => candidate.name !== current)
+      .map((candidate) => before + candidate.name);
+  }
+
+  /**
+   * Full command lines for each command and subcommand ("git checkout"),
+   * for matchers that work on whole lines.
+   */
+  getCommandLines(maxDepth = 2) {
+    const lines = new Set();
+    const walk = (node, prefix, depth) => {
+      (node.subcommands || []).forEach((sub) => {
+        const line = `${prefix} ${this.names(sub)[0]}`;
+        lines.add(line);
+        if (depth < maxDepth) walk(sub, line, depth + 1);
+      });
+    };
+
+    this.load().forEach((spec, name) => {
+      lines.add(name);
+      walk(spec, name, 1);
+    });
+    return Array.from(lines);
+  }
+}
+
+module.exports = SpecCompleter;
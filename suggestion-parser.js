@@ -0,0 +1,310 @@
+const config = require("./config");
+const FuzzyMatcher = require("./fuzzy-matcher");
+
+const RISK_LEVELS = ["low", "medium", "high"];
+
+// What suggestion requests ask the model to reply with
+const SUGGESTION_SCHEMA = {
+  type: "object",
+  properties: {
+    suggestions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          completion: { type: "string" },
+          explanation: { type: "string" },
+          confidence: { type: "number" },
+          risk: { type: "string", enum: RISK_LEVELS },
+        },
+        required: ["completion", "explanation", "confidence", "risk"],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ["suggestions"],
+  additionalProperties: false,
+};
+
+// What plain-words command requests ask the model to reply with
+const COMMAND_SCHEMA = {
+  type: "object",
+  properties: {
+    command: { type: "string" },
+    explanation: { type: "string" },
+    risk: { type: "string", enum: RISK_LEVELS },
+  },
+  required: ["command", "explanation", "risk"],
+  additionalProperties: false,
+};
+
+// What `explain` asks the model for when local sources fall short
+const EXPLANATION_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    parts: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          text: { type: "string" },
+          description: { type: "string" },
+        },
+        required: ["text", "description"],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ["summary", "parts"],
+  additionalProperties: false,
+};
+
+// Replies that repeat the prompt or talk about the task instead of
+// completing the command
+const PROMPT_ECHO =
+  /^(?:given\b|context:|user input|the user\b|suggest|here (?:is|are)\b|sure\b|i (?:would|suggest|recommend)\b|completion:)/i;
+
+// A "completion" string literal, possibly still open at the end of a stream
+const COMPLETION_LITERAL = /"completion"\s*:\s*"((?:[^"\\]|\\.)*)("|\\?$)/g;
+
+const fuzzyMatcher = new FuzzyMatcher();
+
+function stripFences(text) {
+  return text
+    .trimStart()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```\s*$/, "");
+}
+
+/**
+ * Whether `completion` continues what the user typed: it starts with the
+ * input, or matches it word for word up to small typo fixes with the last
+ * word completed.
+ */
+function extendsInput(completion, input) {
+  const typed = input.trim().replace(/\s+/g, " ").toLowerCase();
+  const candidate = completion.toLowerCase();
+  if (typed === "" || candidate.startsWith(typed)) return true;
+
+  const typedWords = typed.split(" ");
+  const words = candidate.split(" ");
+  if (words.length < typedWords.length) return false;
+
+  return typedWords.every((word, index) => {
+    const other = words[index];
+    if (word === other) return true;
+    const isLast = index === typedWords.length - 1;
+    if (isLast && other.startsWith(word)) return true;
+    const limit = fuzzyMatcher.maxDistance(word);
+    const target = isLast ? other.slice(0, word.length) : other;
+    return limit > 0 && fuzzyMatcher.distance(word, target) <= limit;
+  });
+}
+
+/**
+ * Cleans one suggested command line, or returns null when it isn't one:
+ * markdown fences, backticks, surrounding quotes and a leading `$ ` are
+ * removed; prompt echoes and text that doesn't continue `input` are
+ * rejected. Lines over `maxLength` are cut back to a whole word.
+ */
+function sanitizeCompletion(
+  text,
+  input = "",
+  maxLength = config.MAX_SUGGESTION_LENGTH
+) {
+  if (typeof text !== "string") return null;
+
+  let completion = stripFences(text).replace(/\s+/g, " ").trim();
+  let previous;
+  do {
+    previous = completion;
+    completion = completion
+      .replace(/^`+|`+$/g, "")
+      .replace(/^(["'])(.*)\1$/, "$2")
+      .replace(/^\$\s+/, "")
+      .trim();
+  } while (completion !== previous);
+
+  if (completion === "" || PROMPT_ECHO.test(completion)) return null;
+  if (!extendsInput(completion, input)) return null;
+
+  if (completion.length > maxLength) {
+    const cut = completion.substring(0, maxLength + 1).replace(/\s+\S*$/, "");
+    if (cut.length <= input.trim().length) return null;
+    completion = cut;
+  }
+
+  // Nothing to add to what is already typed
+  return completion === input.trim() ? null : completion;
+}
+
+function cleanExplanation(explanation) {
+  return typeof explanation === "string"
+    ? explanation.replace(/\s+/g, " ").trim().substring(0, 120)
+    : "";
+}
+
+/**
+ * One suggestion as { command, explanation, confidence, risk }, or null
+ * when its command isn't valid for `input`. Takes a reply entry
+ * ({ completion, ... }), a suggestion read back from the cache
+ * ({ command, ... }) or a bare command string.
+ */
+function sanitizeSuggestion(entry, input) {
+  const item = typeof entry === "string" ? { completion: entry } : entry;
+  if (!item || typeof item !== "object") return null;
+
+  const command = sanitizeCompletion(
+    item.completion !== undefined ? item.completion : item.command,
+    input
+  );
+  if (!command) return null;
+
+  const confidence = Number(item.confidence);
+  return {
+    command,
+    explanation: cleanExplanation(item.explanation),
+    confidence:
+      item.confidence !== undefined && Number.isFinite(confidence)
+        ? Math.min(1, Math.max(0, confidence))
+        : null,
+    risk: RISK_LEVELS.includes(item.risk) ? item.risk : null,
+  };
+}
+
+function unique(suggestions) {
+  const seen = new Set();
+  return suggestions
+    .filter((suggestion) => {
+      if (!suggestion || seen.has(suggestion.command)) return false;
+      seen.add(suggestion.command);
+      return true;
+    })
+    .slice(0, Math.max(1, config.SUGGESTION_CANDIDATES));
+}
+
+/**
+ * Reads the ranked suggestions out of a model reply shaped like
+ * SUGGESTION_SCHEMA, as [{ command, explanation, confidence, risk }].
+ * Anything that isn't valid JSON of that shape gives an empty list, and
+ * entries whose completion fails sanitizeCompletion() are dropped.
+ *
+ * With `partial` the reply is still streaming: completions are picked out
+ * of the unfinished JSON, including the one being written, for display
+ * only.
+ */
+function parseSuggestions(text, { input = "", partial = false } = {}) {
+  if (typeof text !== "string") return [];
+  const body = stripFences(text);
+
+  if (partial) {
+    const suggestions = [];
+    for (const match of body.matchAll(COMPLETION_LITERAL)) {
+      const closed = match[2] === '"';
+      let completion;
+      try {
+        completion = JSON.parse(
+          `"${closed ? match[1] : match[1].replace(/\\$/, "")}"`
+        );
+      } catch (error) {
+        // Cut inside an escape sequence; the next chunk completes it
+        continue;
+      }
+      const suggestion = sanitizeSuggestion({ completion }, input);
+      // The one still being written keeps its trailing space, so the ghost
+      // text doesn't flicker between words
+      if (suggestion && !closed && /\s$/.test(completion)) {
+        suggestion.command += " ";
+      }
+      suggestions.push(suggestion);
+    }
+    return unique(suggestions);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    return [];
+  }
+
+  const entries = Array.isArray(data) ? data : data && data.suggestions;
+  if (!Array.isArray(entries)) return [];
+  return unique(entries.map((entry) => sanitizeSuggestion(entry, input)));
+}
+
+/**
+ * Reads the command a plain-words request was turned into, from a reply
+ * shaped like COMMAND_SCHEMA, as { command, explanation, risk }; null
+ * when the reply isn't valid.
+ */
+function parseCommand(text) {
+  if (typeof text !== "string") return null;
+
+  let data;
+  try {
+    data = JSON.parse(stripFences(text));
+  } catch (error) {
+    return null;
+  }
+  if (!data || typeof data !== "object") return null;
+
+  const command = sanitizeCompletion(
+    data.command,
+    "",
+    config.MAX_COMMAND_LENGTH
+  );
+  if (!command) return null;
+
+  return {
+    command,
+    explanation: cleanExplanation(data.explanation),
+    risk: RISK_LEVELS.includes(data.risk) ? data.risk : null,
+  };
+}
+
+/**
+ * Reads an `explain` reply shaped like EXPLANATION_SCHEMA as
+ * { summary, parts: [{ text, description }] }; null when it isn't valid.
+ */
+function parseExplanation(text) {
+  if (typeof text !== "string") return null;
+
+  let data;
+  try {
+    data = JSON.parse(stripFences(text));
+  } catch (error) {
+    return null;
+  }
+  if (!data || !Array.isArray(data.parts)) return null;
+
+  const parts = data.parts
+    .filter(
+      (part) =>
+        part &&
+        typeof part.text === "string" &&
+        typeof part.description === "string"
+    )
+    .map((part) => ({
+      text: part.text.trim(),
+      description: cleanExplanation(part.description),
+    }))
+    .filter((part) => part.text && part.description);
+  const summary = cleanExplanation(data.summary);
+  if (parts.length === 0 && !summary) return null;
+
+  return { summary, parts };
+}
+
+module.exports = {
+  SUGGESTION_SCHEMA,
+  COMMAND_SCHEMA,
+  EXPLANATION_SCHEMA,
+  parseSuggestions,
+  parseCommand,
+  parseExplanation,
+  sanitizeSuggestion,
+  sanitizeCompletion,
+  extendsInput,
+};
@@ -0,0 +1,114 @@
+const chalk = require("chalk");
+const config = require("./config");
+
+/**
+ * What every terminal does the same way around running a command: the
+ * assistant's own lines (`explain ...`, "# ..."), the confirmation before a
+ * risky command and the fix offered after a failed one. Each function takes
+ * the terminal, a RawTerminal or one that provides the same geminiService,
+ * riskClassifier, session, inputRevision, pendingConfirmation,
+ * cancelSuggestion(), setInput() and resetInput().
+ */
+
+async function explainCommand(terminal, line) {
+  terminal.cancelSuggestion();
+  process.stdout.write("\n");
+
+  if (line === "") {
+    console.log(
+      chalk.gray("Usage: explain <command>, e.g. explain tar -xzf app.tgz")
+    );
+  } else {
+    console.log(await terminal.geminiService.explainCommand(line));
+  }
+  terminal.resetInput();
+}
+
+// "# find js files changed today": the command comes back on the prompt,
+// to edit or run with Enter
+async function proposeCommand(terminal, request) {
+  terminal.cancelSuggestion();
+  process.stdout.write("\n");
+
+  if (request === "") {
+    console.log(
+      chalk.gray('Describe a command after the "#", e.g. # list big files')
+    );
+    terminal.resetInput();
+    return;
+  }
+
+  console.log(chalk.gray("🤔 Working out a command..."));
+  const proposal = await terminal.geminiService.translateCommand(request);
+  if (!proposal) {
+    console.log(chalk.yellow("⚠️  Couldn't turn that into a command"));
+    terminal.resetInput();
+    return;
+  }
+
+  if (proposal.explanation) {
+    console.log(chalk.gray(`💡 ${proposal.explanation}`));
+  }
+  if (proposal.risk === "high") {
+    console.log(chalk.red("⚠️  This command may be destructive"));
+  }
+  terminal.setInput(proposal.command);
+}
+
+// `explain ...` and "# ..." are for the assistant, not the shell; true when
+// `command` was one of them and has been dealt with
+async function handleAssistantCommand(terminal, command) {
+  if (command === "explain" || command.startsWith("explain ")) {
+    await explainCommand(terminal, command.substring("explain".length).trim());
+    return true;
+  }
+
+  const request = terminal.geminiService.getCommandRequest(command);
+  if (request !== null) {
+    await proposeCommand(terminal, request);
+    return true;
+  }
+  return false;
+}
+
+// High-risk commands run only after an explicit "y". Aliases are expanded
+// first: `x` is as risky as the `rm -rf /` it stands for.
+async function confirmRisk(terminal, command) {
+  if (!config.CONFIRM_RISKY_COMMANDS) return true;
+  const risk = terminal.riskClassifier.classify(
+    terminal.session.expandAliases(command)
+  );
+  if (risk.level !== "high") return true;
+
+  terminal.cancelSuggestion();
+  process.stdout.write("\n");
+  risk.reasons.forEach((reason) => console.log(chalk.red(`⚠️  ${reason}`)));
+  process.stdout.write(chalk.red("Run it anyway? [y/N] "));
+
+  const confirmed = await new Promise((resolve) => {
+    terminal.pendingConfirmation = resolve;
+  });
+  terminal.pendingConfirmation = null;
+  // Running the command starts its own line
+  if (!confirmed) process.stdout.write("\n");
+  return confirmed;
+}
+
+// After a failed command, prints a corrected one and returns the fix for
+// the terminal to offer; null when there is none, or the user has typed
+// on in the meantime
+async function announceFix(terminal, result) {
+  const revision = terminal.inputRevision;
+  const fix = await terminal.geminiService.getCommandFix(result);
+  if (!fix || revision !== terminal.inputRevision) return null;
+
+  process.stdout.write(
+    "\r\x1b[K" +
+      chalk.yellow(`💡 Did you mean: ${fix.command}`) +
+      (fix.explanation ? chalk.gray(` (${fix.explanation})`) : "") +
+      "\n"
+  );
+  return fix;
+}
+
+module.exports = { handleAssistantCommand, confirmRisk, announceFix };
@@ -3,11 +3,19 @@ const chalk = require("chalk");
 const cliCursor = require("cli-cursor");
 const stripAnsi = require("strip-ansi");
 const GeminiService = require("./gemini-service");
+const CommandExecutor = require("./command-executor");
+const ShellSession = require("./shell-session");
+const CommandHistory = require("./command-history");
+const RiskClassifier = require("./risk-classifier");
 const config = require("./config");
 
 class TerminalInterface {
   constructor() {
     this.geminiService = new GeminiService();
+    this.commandExecutor = new CommandExecutor();
+    this.session = new ShellSession(this.commandExecutor);
+    this.history = new CommandHistory();
+    this.riskClassifier = new RiskClassifier();
     this.currentInput = "";
     this.suggestion = "";
     this.suggestionTimeout = null;
@@ -17,7 +25,17 @@ class TerminalInterface {
     this.rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
-      prompt: "🤖 Gemini Terminal > ",
+      prompt: config.OFFLINE_MODE
+        ? "🤖 Gemini Terminal [offline] > "
+        : "🤖 Gemini Terminal > ",
+      historySize: 1000,
+    });
+
+    // readline handles Up/Down itself; seed it from the persistent history
+    this.history.ready.then(() => {
+      this.rl.history.push(
+        ...this.history.getRecentCommands(this.rl.historySize)
+      );
     });
 
     this.setupEventListeners();
@@ -70,21 +88,67 @@ class TerminalInterface {
       return;
     }
 
-    // Execute the command (in a real app, you might want to actually execute it)
-    console.log(chalk.green(`\n✅ Executed: ${trimmedInput}`));
-    console.log(
-      chalk.gray("(This is a demo - commands are not actually executed)")
-    );
+    if (trimmedInput === "explain" || trimmedInput.startsWith("explain ")) {
+      const line = trimmedInput.substring("explain".length).trim();
+      console.log(
+        line === ""
+          ? chalk.gray(
+              "Usage: explain <command>, e.g. explain tar -xzf app.tgz"
+            )
+          : await this.geminiService.explainCommand(line)
+      );
+      this.displayPrompt();
+      return;
+    }
+
+    if (!(await this.confirmRisk(trimmedInput))) {
+      this.displayPrompt();
+      return;
+    }
+
+    const cwd = this.session.cwd;
+    const result = await this.session.run(trimmedInput);
+    this.history.add({
+      command: trimmedInput,
+      cwd,
+      exitCode: result.exitCode,
+      duration: result.duration,
+    });
+    if (!result.builtin) {
+      console.log(this.commandExecutor.formatSummary(result));
+    }
 
     this.displayPrompt();
   }
 
+  // High-risk commands run only after an explicit "y"; aliases are
+  // expanded first, as they will be when the command runs
+  async confirmRisk(command) {
+    if (!config.CONFIRM_RISKY_COMMANDS) return true;
+    const risk = this.riskClassifier.classify(
+      this.session.expandAliases(command)
+    );
+    if (risk.level !== "high") return true;
+
+    risk.reasons.forEach((reason) => console.log(chalk.red(`⚠️  ${reason}`)));
+    const answer = await new Promise((resolve) => {
+      this.rl.question(chalk.red("Run it anyway? [y/N] "), resolve);
+    });
+    return /^y(es)?$/i.test(answer.trim());
+  }
+
   showHelp() {
     console.log(chalk.cyan("\n🤖 Gemini Terminal Assistant - Help"));
     console.log(chalk.gray("====================================="));
     console.log(chalk.yellow("Commands:"));
     console.log("  help     - Show this help message");
     console.log("  clear    - Clear the terminal");
+    console.log("  explain  - What each part of a command does");
+    console.log(
+      "  cd, pushd, popd, dirs - Change and stack the working directory"
+    );
+    console.log("  export, unset - Set or remove environment variables");
+    console.log("  alias, unalias - Define or remove command aliases");
     console.log("  exit     - Exit the application");
     console.log("  quit     - Exit the application");
     console.log(chalk.yellow("\nFeatures:"));
@@ -1,17 +1,28 @@
 #!/usr/bin/env node
 
-const GeminiService = require("./gemini-service");
-const OptimizedGeminiService = require("./gemini-service-optimized");
 const config = require("./config");
-const axios = require("axios");
+const { createProvider } = require("./llm-providers");
 const chalk = require("chalk");
 
 async function testAPI() {
-  console.log(chalk.cyan("🧪 Testing Gemini API Connection...\n"));
-
-  // Use the first key from the array for direct test
-  const apiKey = config.GEMINI_API_KEYS[0];
-  const apiUrl = config.GEMINI_API_URL;
+  const provider = createProvider();
+  if (!provider) {
+    console.log(
+      chalk.yellow("📴 Offline mode without a local model: nothing to test.")
+    );
+    return;
+  }
+  if (!provider.isConfigured()) {
+    console.log(
+      chalk.red(
+        `❌ No ${provider.displayName} API key configured (${provider.keyVariable})`
+      )
+    );
+    process.exit(1);
+  }
+  console.log(
+    chalk.cyan(`🧪 Testing ${provider.displayName} API Connection...\n`)
+  );
 
   const testInputs = [
     "git",
@@ -24,36 +35,9 @@ async function testAPI() {
   for (const input of testInputs) {
     console.log(chalk.yellow(`Testing: "${input}"`));
     try {
-      const payload = {
-        contents: [
-          {
-            parts: [
-              {
-                text: input,
-              },
-            ],
-          },
-        ],
-      };
-      const response = await axios.post(apiUrl, payload, {
-        headers: {
-          "Content-Type": "application/json",
-          "X-goog-api-key": apiKey,
-        },
-        timeout: 15000,
-      });
-      if (
-        response.data &&
-        response.data.candidates &&
-        response.data.candidates[0]
-      ) {
-        const suggestion =
-          response.data.candidates[0].content.parts[0].text.trim();
-        if (suggestion) {
-          console.log(chalk.green(`✅ Suggestion: ${suggestion}`));
-        } else {
-          console.log(chalk.red("❌ No suggestion received"));
-        }
+      const result = await provider.generate(input, { timeout: 15000 });
+      if (result) {
+        console.log(chalk.green(`✅ Suggestion: ${result.text}`));
       } else {
         console.log(chalk.red("❌ No suggestion received"));
       }